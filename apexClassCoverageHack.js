@@ -1,11 +1,6 @@
 "use strict";
 
-const fs = require("fs");
-const path = require("path");
-const { isMainThread } = require("worker_threads");
-
-// Global counter to generate sequential names for test classes
-let testClassCount = 0;
+const { consoleLogger } = require("./logger");
 
 /**
  * Removes block and line comments from the content, but leaves intact any comment-like
@@ -46,6 +41,12 @@ function removeComments(content) {
         // If we're inside a string literal, add characters until the end of it.
         if (inString) {
             result += current;
+            // Apex escapes with a backslash ('it\'s'); the escaped character never ends the literal.
+            if (current === "\\" && next !== undefined) {
+                result += next;
+                i++;
+                continue;
+            }
             // Check for the end of the string literal.
             if (current === stringChar) {
                 // In Apex, you might escape a single quote inside a single-quoted string by doubling it.
@@ -91,24 +92,164 @@ function removeComments(content) {
 }
 
 /**
- * Processes an Apex file. It always checks if the class is a test class.
- * If the 'enabled' flag is true and the class is not a test, interface, or enum,
- * it injects a method to increase code coverage and generates a corresponding test class.
+ * Splits Apex source into tokens: annotations (@Name), words, string literals and single-character
+ * symbols. Comments are skipped here, on the original content, so every token's start/end index is
+ * valid in it. An unterminated string or block comment runs to the end of the content.
  *
- * @param {string} filePath Full path to the .cls file to be processed.
- * @param {boolean} [enabled=false] - A flag to enable or disable the injection logic.
- * @returns {Promise<{isTest: boolean}>} An object indicating if the class is a test class.
+ * @param {string} content The original content of the Apex file.
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} The tokens, in order.
  */
-async function injectHack(filePath, enabled = false) {
-    // Read the original file
-    let originalContent = fs.readFileSync(filePath, "utf8");
+function tokenizeApex(content) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < content.length) {
+        const current = content[i];
+        const next = content[i + 1];
+        const start = i;
+
+        if (/\s/.test(current)) {
+            i++;
+            continue;
+        }
+
+        if (current === "/" && next === "/") {
+            const newline = content.indexOf("\n", i);
+            i = newline === -1 ? content.length : newline;
+            continue;
+        }
+
+        if (current === "/" && next === "*") {
+            const close = content.indexOf("*/", i + 2);
+            i = close === -1 ? content.length : close + 2;
+            continue;
+        }
+
+        // String literal; a backslash escapes the next character.
+        if (current === "'") {
+            i++;
+            while (i < content.length && content[i] !== "'") {
+                i += content[i] === "\\" ? 2 : 1;
+            }
+            i = Math.min(i + 1, content.length);
+            tokens.push({ type: "string", value: content.slice(start, i), start, end: i });
+            continue;
+        }
+
+        const word = /^@?[A-Za-z_][A-Za-z0-9_]*/.exec(content.slice(i, i + 256));
+        if (word) {
+            i += word[0].length;
+            const isAnnotation = word[0].startsWith("@");
+            tokens.push({ type: isAnnotation ? "annotation" : "word", value: isAnnotation ? word[0].slice(1) : word[0], start, end: i });
+            continue;
+        }
+
+        i++;
+        tokens.push({ type: "symbol", value: current, start, end: i });
+    }
+    return tokens;
+}
+
+const TYPE_KEYWORDS = ["class", "interface", "enum"];
+
+/**
+ * Finds the top-level type declaration of an Apex file: its annotations, modifiers, kind, name and
+ * the brace that really closes its body (not just the last "}" of the file).
+ *
+ * @param {string} content The original content of the Apex file.
+ * @returns {{kind: string|null, name: string|null, annotations: string[], modifiers: string[],
+ *           isTest: boolean, hasStaticMembers: boolean, closeBraceIndex: number}}
+ *          kind is null when no declaration was found; closeBraceIndex is -1 when the body is unbalanced
+ *          or something other than comments follows it.
+ */
+function parseApexStructure(content) {
+    const tokens = tokenizeApex(content);
+    const lower = (token) => token.value.toLowerCase();
+    const structure = {
+        kind: null,
+        name: null,
+        annotations: [],
+        modifiers: [],
+        // Test methods may only live in test classes, so any @IsTest/testMethod outside strings marks one.
+        isTest: tokens.some((t) => (t.type === "annotation" && lower(t) === "istest") || (t.type === "word" && lower(t) === "testmethod")),
+        hasStaticMembers: false,
+        closeBraceIndex: -1,
+    };
 
+    let i = 0;
+    for (; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === "annotation") {
+            structure.annotations.push(token.value);
+            // Skip the annotation arguments, e.g. @RestResource(urlMapping='/x/*')
+            if (tokens[i + 1]?.value === "(") {
+                let depth = 0;
+                do {
+                    i++;
+                    if (tokens[i].value === "(") depth++;
+                    if (tokens[i].value === ")") depth--;
+                } while (depth > 0 && i < tokens.length - 1);
+            }
+            continue;
+        }
+        if (token.type !== "word") return structure;
+        if (TYPE_KEYWORDS.includes(lower(token))) {
+            structure.kind = lower(token);
+            structure.name = tokens[i + 1]?.value ?? null;
+            break;
+        }
+        structure.modifiers.push(lower(token));
+    }
+
+    const openIndex = tokens.findIndex((t, index) => index > i && t.value === "{");
+    if (structure.kind === null || openIndex === -1) return structure;
+
+    let depth = 0;
+    for (let j = openIndex; j < tokens.length; j++) {
+        if (tokens[j].value === "{") depth++;
+        if (tokens[j].value === "}") depth--;
+        if (depth === 1 && tokens[j].type === "word" && lower(tokens[j]) === "static") structure.hasStaticMembers = true;
+        if (depth === 0) {
+            // Code after the closing brace means the braces did not resolve (e.g. an unterminated literal).
+            structure.closeBraceIndex = j === tokens.length - 1 ? tokens[j].start : -1;
+            break;
+        }
+    }
+    return structure;
+}
+
+// Why the coverage method cannot go into this type, or null when it can.
+function injectionSkipReason(structure) {
+    if (structure.kind === null) return "no top-level type declaration found";
+    if (structure.kind !== "class") return `the type is an ${structure.kind}`;
+    if (structure.closeBraceIndex === -1) return "could not resolve the brace structure of the class";
+    if (structure.modifiers.includes("abstract") && !structure.hasStaticMembers) return "abstract class without static members";
+    return null;
+}
+
+/**
+ * Decides whether the coverage method goes into an Apex class and builds the resulting source. It always
+ * checks if the class is a test class. If the 'enabled' flag is true and parseApexStructure finds a class
+ * that can take it (see injectionSkipReason), the method is spliced into the original source, so comments
+ * and ApexDoc are kept. Nothing is read or written here: draft.js (through its staging fs, which keeps
+ * the --dryRun in memory) decides where the content comes from and where it goes.
+ *
+ * @param {string} originalContent The content of the .cls file.
+ * @param {string} filePath Path of the .cls file, for the log messages.
+ * @param {boolean} [enabled=false] - A flag to enable or disable the injection logic.
+ * @param {function(string, object): void} [log] Receives the decision as a message key and its params
+ *        (see messages.js); prints to the console by default.
+ * @returns {{isTest: boolean, skipReason?: string, content?: string}} Whether the class is a test class,
+ *          why the injection was skipped, or the content with the injected method.
+ */
+function planInjection(originalContent, filePath, enabled = false, log = consoleLogger().log) {
     // Remove comments from the content
     let withoutComments = removeComments(originalContent).trim();
+    const structure = parseApexStructure(originalContent);
 
-    // Check if the content has the @IsTest annotation (case insensitive)
-    if (/[@]IsTest/i.test(withoutComments)) {
-        console.log(`Class is a test class (@IsTest): ${filePath}. No injection performed.`);
+    // Check if the class has the @IsTest annotation (case insensitive), ignoring strings and comments
+    if (structure.isTest) {
+        log("hack.testClass", { path: filePath });
         return { isTest: true };
     }
 
@@ -117,16 +258,10 @@ async function injectHack(filePath, enabled = false) {
         return { isTest: false };
     }
 
-    const isClassAnInterface = /(^|\s+)interface\s+/i.test(withoutComments.split('\n')[0]);
-    if (isClassAnInterface) {
-        console.log(`The class is an interface. No injection was performed on: ${filePath}`);
-        return { isTest: false };
-    }
-
-    const isClassEnum = /(^|\s+)enum\s+/i.test(withoutComments.split('\n')[0]);
-    if (isClassEnum) {
-        console.log(`The class is an enum. No injection was performed on: ${filePath}`);
-        return { isTest: false };
+    const skipReason = injectionSkipReason(structure);
+    if (skipReason) {
+        log("hack.skipped", { path: filePath, reason: skipReason });
+        return { isTest: false, skipReason };
     }
 
     // Count non-empty lines (after removing comments)
@@ -156,28 +291,26 @@ async function injectHack(filePath, enabled = false) {
         body +
         "    }\n";
 
-    // Insert the injected method BEFORE the last closing brace "}" of the class.
-    // Note: assumes the last "}" corresponds to the class closure.
-    let lastBraceIndex = withoutComments.lastIndexOf("}");
-    if (lastBraceIndex === -1) {
-        console.error("Could not find the closing brace of the class.");
-        return;
-    }
-    let modifiedContent =
-        withoutComments.slice(0, lastBraceIndex) +
+    // Insert the injected method BEFORE the brace that closes the top-level class body.
+    const content =
+        originalContent.slice(0, structure.closeBraceIndex) +
         injectedMethod +
-        withoutComments.slice(lastBraceIndex);
-
-    // Write the modified content back to the original file
-    fs.writeFileSync(filePath, modifiedContent, "utf8");
-    console.log(`Method injected into class: ${filePath}`);
-
-    // Extract the class name from the file name (without the .cls extension)
-    let className = path.basename(filePath, ".cls");
+        originalContent.slice(structure.closeBraceIndex);
+    return { isTest: false, content };
+}
 
-    // Construct the new test class that invokes the injected method.
-    let testName = `tXPTO${testClassCount}`;
-    testClassCount++;
+/**
+ * Builds a tXPTO test class, which invokes the injected method of the given class.
+ *
+ * @param {string} className The class that received testeXPTO.
+ * @param {number} testIndex Suffix of the tXPTO class; the caller numbers them per run (draft.js keeps it
+ *        in its run state), so concurrent or repeated runs in one process do not share a counter.
+ * @param {string} apiVersion API version of the generated -meta.xml (the project's, see manifest.js readApiVersion).
+ * @returns {{testClass: string, files: Object<string, string>}} The test class name and its files
+ *          (file name -> content): the .cls and its -meta.xml.
+ */
+function buildCoverageTest(className, testIndex, apiVersion) {
+    let testName = `tXPTO${testIndex}`;
     let testContent =
         "@IsTest\n" +
         `public with sharing class ${testName} {\n` +
@@ -186,30 +319,13 @@ async function injectHack(filePath, enabled = false) {
         `        ${className}.testeXPTO();\n` +
         "    }\n" +
         "}\n";
-
-    // Create the test class file in the same directory as the original class
-    let dir = path.dirname(filePath);
-    let testPath = path.join(dir, `${testName}.cls`);
-    const xmlCounterPath = path.join(dir, `${testName}.cls-meta.xml`);
     const xmlContent = `<?xml version="1.0" encoding="UTF-8"?>
 <ApexClass xmlns="http://soap.sforce.com/2006/04/metadata">
-    <apiVersion>62.0</apiVersion>
+    <apiVersion>${apiVersion}</apiVersion>
     <status>Active</status>
 </ApexClass>
-    `;
-    const errCb = err => {
-        if (err) {
-            console.error(err);
-            process.exit(1);
-        }
-    };
-    await Promise.all([fs.writeFile(testPath, testContent, errCb), fs.writeFile(xmlCounterPath, xmlContent, errCb)]);
-    console.log(`Test class generated at: ${testPath}`);
-    return { isTest: false };
+`;
+    return { testClass: testName, files: { [`${testName}.cls`]: testContent, [`${testName}.cls-meta.xml`]: xmlContent } };
 }
 
-// Example usage:
-// Replace 'classes/MyClass.cls' with the path to the Apex class you want to process.
-//injectHack(path.join(__dirname, "classes", "MyClass.cls"));
-
-module.exports = { injectHack };
\ No newline at end of file
+module.exports = { planInjection, buildCoverageTest, removeComments, tokenizeApex, parseApexStructure };
\ No newline at end of file
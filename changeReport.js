@@ -0,0 +1,126 @@
+/**
+ * changeReport.js
+ *
+ * Relatório de mudanças do release: diff unificado por arquivo (changes.diff), o resumo
+ * em Markdown (changes.md) agrupado por pacote e tipo de metadado e o plano do --dryRun.
+ */
+const { createUnifiedDiff } = require('./unifiedDiff');
+const { isBinary } = require('./hashIndex');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+/**
+ * Diff de um arquivo no formato do git (new file / deleted file / binário).
+ *
+ * @param {{path: string, status: string}} entry Entrada do relatório (caminho posix-izado no cabeçalho).
+ * @param {Buffer|null} sourceContent Conteúdo na origem (versão nova); null se não existir.
+ * @param {Buffer|null} targetContent Conteúdo no destino (versão antiga); null se não existir.
+ * @returns {string}
+ */
+const fileDiff = ({ path: relativePath, status }, sourceContent, targetContent) => {
+    const displayPath = relativePath.split(/[\\/]/).join('/');
+    const header = [`diff --git a/${displayPath} b/${displayPath}`];
+    if (status === 'new') header.push('new file');
+    if (status === 'deleted') header.push('deleted file');
+
+    const newContent = status === 'deleted' ? Buffer.alloc(0) : sourceContent ?? Buffer.alloc(0);
+    const oldContent = status === 'new' ? Buffer.alloc(0) : targetContent ?? Buffer.alloc(0);
+    if (isBinary(newContent) || isBinary(oldContent)) {
+        return `${header.join('\n')}\nBinary files differ\n`;
+    }
+
+    const diff = createUnifiedDiff(oldContent.toString('utf8'), newContent.toString('utf8'), {
+        oldLabel: status === 'new' ? '/dev/null' : `a/${displayPath}`,
+        newLabel: status === 'deleted' ? '/dev/null' : `b/${displayPath}`
+    });
+    return diff ? `${header.join('\n')}\n${diff}` : '';
+};
+
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+    (groups[keyOf(item)] ??= []).push(item);
+    return groups;
+}, {});
+
+// As entradas podem estar em mais de um pacote (ex.: objects no package1 e no package9).
+const renderMarkdown = ({ generatedAt, summary, packageOrder = [], entries }, locale = DEFAULT_LOCALE) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    const lines = [
+        `# ${t('changes.title')}`,
+        '',
+        t('changes.summary', { generatedAt, ...summary }),
+        ''
+    ];
+
+    const outsidePackages = t('changes.outsidePackages');
+    const byPackage = {};
+    for (const entry of entries) {
+        for (const pkgName of entry.packages.length > 0 ? entry.packages : [outsidePackages]) {
+            (byPackage[pkgName] ??= []).push(entry);
+        }
+    }
+
+    // Pacotes na ordem do deploy; destrutivo e "fora dos pacotes" no fim.
+    const orderOf = pkgName => packageOrder.includes(pkgName) ? packageOrder.indexOf(pkgName) : packageOrder.length;
+    const sortedPackages = Object.entries(byPackage).sort(([a], [b]) => orderOf(a) - orderOf(b));
+    for (const [pkgName, pkgEntries] of sortedPackages) {
+        lines.push(`## ${pkgName}`, '');
+        const byType = groupBy(pkgEntries, entry => entry.type ?? t('changes.unknownType'));
+        for (const type of Object.keys(byType).sort()) {
+            lines.push(`### ${type}`, '');
+            for (const entry of byType[type]) {
+                const renamed = entry.renamedFrom ? t('changes.renamed', { from: entry.renamedFrom }) : '';
+                lines.push(`- **${t(`status.${entry.status}`)}** \`${entry.member ?? entry.path}\` — ${entry.path}${renamed}`);
+                (entry.errors ?? []).forEach(error => lines.push(`  - ${t('changes.error', { error })}`));
+                entry.sanitization.forEach(action => lines.push(`  - ${t('changes.sanitization', { action })}`));
+                entry.differences.forEach(difference => lines.push(`  - ${difference}`));
+                (entry.includedBy ?? []).forEach(reason => lines.push(`  - ${t('changes.dependency', { reason })}`));
+            }
+            lines.push('');
+        }
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Plano do --dryRun em texto, para o console: o que seria copiado, sanitizado, empacotado,
+ * testado e executado.
+ *
+ * @param {object} plan Plano montado pelo draft.js (ver buildDryRunPlan).
+ * @param {string} [locale='pt-BR'] Idioma do texto (messages.js).
+ * @returns {string}
+ */
+const renderPlan = ({ summary, files, packages, destructive, orphans, tests, deployCommands, stagedFiles }, locale = DEFAULT_LOCALE) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    const lines = [
+        t('dryRun.header', summary),
+        '',
+        t('dryRun.files')
+    ];
+    for (const file of files) {
+        const target = file.packages.length > 0 ? file.packages.join(', ') : t('changes.outsidePackages');
+        const renamed = file.renamedFrom ? t('changes.renamed', { from: file.renamedFrom }) : '';
+        lines.push(`  [${t(`status.${file.status}`)}] ${file.path}${renamed} -> ${target}`);
+        (file.errors ?? []).forEach(error => lines.push(`      ${t('dryRun.error', { error })}`));
+        file.sanitization.forEach(action => lines.push(`      ${t('changes.sanitization', { action })}`));
+        (file.includedBy ?? []).forEach(reason => lines.push(`      ${t('changes.dependency', { reason })}`));
+    }
+
+    lines.push('', t('dryRun.packages'));
+    for (const { name, wave, testLevel, components } of packages) {
+        lines.push(`  ${t('dryRun.package', { name, wave, testLevel, count: components.length })}`);
+        components.forEach(component => lines.push(`      ${component}`));
+    }
+    if (destructive.pre.length + destructive.post.length > 0) {
+        lines.push(`  ${t('dryRun.destructive', destructive)}`);
+    }
+    if (orphans.length > 0) {
+        lines.push('', t('dryRun.orphans', { count: orphans.length }), ...orphans.map(orphan => `  - ${orphan}`));
+    }
+
+    lines.push('', t('dryRun.tests', { tests: tests.tests }));
+    if (tests.untested.length > 0) lines.push(`  ${t('dryRun.untested', { classes: tests.untested })}`);
+    lines.push('', t('dryRun.commands'), ...deployCommands.map(command => `  ${command}`));
+    lines.push('', t('dryRun.stagedFiles', { count: stagedFiles.length }));
+    return lines.join('\n');
+};
+
+module.exports = { fileDiff, renderMarkdown, renderPlan };
@@ -0,0 +1,145 @@
+/**
+ * decomposedMetadata.js
+ *
+ * Arquivos monolíticos que guardam vários componentes independentes (CustomLabels, Workflow,
+ * SharingRules). Em vez de subir o arquivo inteiro, extrai só os filhos novos ou alterados
+ * e remonta um arquivo mínimo válido com eles.
+ */
+const convert = require('xml-js');
+const { compareXml } = require('./xmlCompare');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+// pasta -> elemento raiz e filhos (elemento -> tipo de metadado do filho).
+const DECOMPOSED_TYPES = {
+    labels: {
+        root: 'CustomLabels',
+        children: { labels: 'CustomLabel' }
+    },
+    workflows: {
+        root: 'Workflow',
+        children: {
+            alerts: 'WorkflowAlert',
+            fieldUpdates: 'WorkflowFieldUpdate',
+            flowActions: 'WorkflowFlowAction',
+            knowledgePublishes: 'WorkflowKnowledgePublish',
+            outboundMessages: 'WorkflowOutboundMessage',
+            rules: 'WorkflowRule',
+            send: 'WorkflowSend',
+            tasks: 'WorkflowTask'
+        }
+    },
+    sharingRules: {
+        root: 'SharingRules',
+        children: {
+            sharingCriteriaRules: 'SharingCriteriaRule',
+            sharingGuestRules: 'SharingGuestRule',
+            sharingOwnerRules: 'SharingOwnerRule',
+            sharingTerritoryRules: 'SharingTerritoryRule'
+        }
+    }
+};
+
+const decomposedTypeOf = (relativePath) => {
+    const [folder, fileName] = relativePath.split(/[\\/]/);
+    const key = Object.keys(DECOMPOSED_TYPES).find(name => name.toLowerCase() === folder.toLowerCase());
+    return key && fileName?.endsWith('-meta.xml') ? DECOMPOSED_TYPES[key] : null;
+};
+
+const isDecomposedFile = relativePath => decomposedTypeOf(relativePath) !== null;
+
+const rootElementOf = xmlObj => xmlObj.elements.find(elem => elem.type === 'element');
+
+const fullNameOf = elem => elem.elements
+    ?.find(child => child.name === 'fullName')?.elements?.find(child => child.type === 'text')?.text;
+
+// Filhos decompostos do arquivo, indexados por "<elemento>[fullName=<nome>]".
+const childrenOf = (xmlObj, definition) => {
+    const children = new Map();
+    for (const elem of rootElementOf(xmlObj).elements ?? []) {
+        if (elem.type !== 'element' || !(elem.name in definition.children)) continue;
+        children.set(`${elem.name}[fullName=${fullNameOf(elem)}]`, elem);
+    }
+    return children;
+};
+
+const toXml = elem => convert.js2xml({ elements: [elem] }, { compact: false });
+
+/**
+ * Compara origem e destino filho a filho.
+ *
+ * @param {string} relativePath Caminho relativo (define o tipo: labels, workflows, sharingRules).
+ * @param {string} sourceXml Conteúdo da origem.
+ * @param {string} targetXml Conteúdo do destino.
+ * @param {string[]} [ignoredElements] Elementos de ruído ignorados na comparação.
+ * @param {string} [locale='pt-BR'] Idioma das diferenças (messages.js).
+ * @returns {{differences: string[], xml: string|null}} O que mudou e o arquivo mínimo com os
+ *          filhos novos/alterados (null se nada mudou).
+ * @throws {Error} Se algum dos lados não for XML válido.
+ */
+const extractChangedChildren = (relativePath, sourceXml, targetXml, ignoredElements = [], locale = DEFAULT_LOCALE) => {
+    const definition = decomposedTypeOf(relativePath);
+    const sourceObj = convert.xml2js(sourceXml, { compact: false });
+    const targetChildren = childrenOf(convert.xml2js(targetXml, { compact: false }), definition);
+
+    const differences = [];
+    const changedElements = new Set();
+    for (const [key, elem] of childrenOf(sourceObj, definition)) {
+        if (!targetChildren.has(key)) {
+            differences.push(formatMessage(locale, 'xml.added', { path: key }));
+            changedElements.add(elem);
+            continue;
+        }
+        const comparison = compareXml(toXml(elem), toXml(targetChildren.get(key)), { ignoredElements, locale });
+        if (!comparison.equal) {
+            differences.push(...comparison.differences.map(difference => key + difference.slice(elem.name.length)));
+            changedElements.add(elem);
+        }
+    }
+    if (changedElements.size === 0) return { differences, xml: null };
+
+    // Mantém a declaração, o namespace e a ordem da origem, só com os filhos que mudaram.
+    const rootElem = rootElementOf(sourceObj);
+    rootElem.elements = rootElem.elements.filter(elem => changedElements.has(elem));
+    return { differences, xml: convert.js2xml(sourceObj, { compact: false, spaces: 4 }) + '\n' };
+};
+
+/**
+ * Componentes filhos presentes em um arquivo decomposto, para o package.xml
+ * (CustomLabel "X", WorkflowRule "Account.Regra"...).
+ */
+const decomposedComponents = (relativePath, xml) => {
+    const definition = decomposedTypeOf(relativePath);
+    const fileName = relativePath.split(/[\\/]/).pop();
+    const objectName = fileName.slice(0, fileName.indexOf('.'));
+    return [...childrenOf(convert.xml2js(xml, { compact: false }), definition).values()].map(elem => ({
+        type: definition.children[elem.name],
+        member: definition.root === 'CustomLabels' ? fullNameOf(elem) : `${objectName}.${fullNameOf(elem)}`
+    }));
+};
+
+// Chaves ("labels[fullName=X]") dos filhos presentes no arquivo.
+const childKeys = (relativePath, xml) => new Set(childrenOf(convert.xml2js(xml, { compact: false }), decomposedTypeOf(relativePath)).keys());
+
+/**
+ * Acrescenta filhos da origem ao arquivo mínimo do news (ou cria um a partir da origem, só com
+ * eles), para as dependências que não vieram na comparação.
+ *
+ * @param {string} relativePath Caminho relativo do arquivo decomposto.
+ * @param {string|null} stagedXml Arquivo já no news, ou null.
+ * @param {string} sourceXml Conteúdo da origem.
+ * @param {string[]} keys Filhos a acrescentar, no formato de childKeys.
+ * @returns {string} O novo conteúdo.
+ */
+const addChildren = (relativePath, stagedXml, sourceXml, keys) => {
+    const definition = decomposedTypeOf(relativePath);
+    const sourceObj = convert.xml2js(sourceXml, { compact: false });
+    const sourceChildren = childrenOf(sourceObj, definition);
+    const stagedObj = stagedXml ? convert.xml2js(stagedXml, { compact: false }) : sourceObj;
+    const rootElem = rootElementOf(stagedObj);
+    if (!stagedXml) rootElem.elements = [];
+    const present = stagedXml ? childrenOf(stagedObj, definition) : new Map();
+    keys.filter(key => sourceChildren.has(key) && !present.has(key)).forEach(key => rootElem.elements.push(sourceChildren.get(key)));
+    return convert.js2xml(stagedObj, { compact: false, spaces: 4 }) + '\n';
+};
+
+module.exports = { DECOMPOSED_TYPES, isDecomposedFile, extractChangedChildren, decomposedComponents, childKeys, addChildren };
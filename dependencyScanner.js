@@ -0,0 +1,170 @@
+/**
+ * dependencyScanner.js
+ *
+ * Referências de um arquivo do news para outros componentes: campos, objetos, custom labels,
+ * classes Apex e valores de picklist usados por record types. O draft.js inclui no deploy as
+ * que existem na origem e não no destino (componentes novos que ficaram de fora do news).
+ *
+ * Cada referência é um de (type/name descrevem o componente nos logs: CustomField Account.X__c):
+ *   { kind: 'file', path, type, name }                  arquivo do componente (relativo à raiz);
+ *   { kind: 'label', type, name }                       CustomLabel (filho do labels-meta.xml);
+ *   { kind: 'picklistValue', path, value, type, name }  valor que precisa existir no campo.
+ * Referências a componentes que não existem na origem (variáveis, campos padrão...) são
+ * descartadas por quem resolve, então a varredura pode ser generosa.
+ */
+const path = require('path');
+const convert = require('xml-js');
+
+const CUSTOM_SUFFIX = /__(c|mdt|e|b|x)$/;
+const XML_OBJECT_ELEMENTS = new Set(['object', 'objectType', 'sobjectType', 'sObjectType', 'targetObject', 'referenceTo', 'relatedList']);
+const XML_FIELD_ELEMENTS = new Set(['field', 'fieldName', 'queriedFields', 'picklist', 'columns', 'leftValueReference', 'assignToReference']);
+const CODE_EXTENSIONS = ['.cls', '.trigger', '.js', '.html', '.cmp', '.app', '.evt', '.page', '.component'];
+
+const objectFile = objectName => path.join('objects', objectName, `${objectName}.object-meta.xml`);
+const fieldFile = (objectName, fieldName) => path.join('objects', objectName, 'fields', `${fieldName}.field-meta.xml`);
+const classFile = className => path.join('classes', `${className}.cls`);
+
+// fullName de valores de picklist vem com URL encoding (%20...); um "%" solto fica como está.
+const decodeValue = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+// Campos "Objeto.Campo__c" e labels em qualquer texto (fórmulas, Apex, LWC, Aura, flows).
+const scanText = (text, refs) => {
+    for (const [, objectName, fieldName] of text.matchAll(/\b([A-Za-z]\w*)\.([A-Za-z]\w*__c)\b/g)) {
+        refs.push({ kind: 'file', path: fieldFile(objectName, fieldName), type: 'CustomField', name: `${objectName}.${fieldName}` });
+    }
+    for (const [, labelName] of text.matchAll(/(?:\$Label\.c\.|@salesforce\/label\/c\.|\bLabel\.)([A-Za-z]\w*)/g)) {
+        refs.push({ kind: 'label', type: 'CustomLabel', name: labelName });
+    }
+    for (const [, className] of text.matchAll(/@salesforce\/apex\/([A-Za-z]\w*)\./g)) {
+        refs.push({ kind: 'file', path: classFile(className), type: 'ApexClass', name: className });
+    }
+};
+
+// Objetos customizados citados soltos no código (SOQL, tipos, new X__c()).
+const scanCode = (text, refs) => {
+    scanText(text, refs);
+    for (const [, objectName] of text.matchAll(/(?<![.\w])([A-Za-z]\w*__(?:c|mdt|e))\b/g)) {
+        refs.push({ kind: 'file', path: objectFile(objectName), type: 'CustomObject', name: objectName });
+    }
+};
+
+const textOf = (elem) => {
+    const node = elem.elements?.find(child => child.type === 'text' || child.type === 'cdata');
+    return node?.[node.type];
+};
+const childText = (elem, name) => {
+    const child = elem.elements?.find(item => item.name === name);
+    return child ? textOf(child) : undefined;
+};
+
+// Objeto de contexto do arquivo: pasta objects/<Objeto>, layouts "Objeto-Nome", quickActions "Objeto.Nome".
+const fileObject = (relativePath) => {
+    const parts = relativePath.split(/[\\/]/);
+    if (parts[0] === 'objects') return parts[1];
+    if (parts[0] === 'layouts') return parts[1].split('-')[0];
+    if (parts[0] === 'quickActions' && parts[1].split('.').length > 3) return parts[1].split('.')[0];
+    return null;
+};
+
+// Percorre o XML: o objeto de cada nível é o <object> (ou similar) mais próximo, senão o do arquivo.
+const scanXmlElement = (elem, objectName, refs) => {
+    const children = elem.elements ?? [];
+    const localObject = children.map(child => XML_OBJECT_ELEMENTS.has(child.name) && textOf(child)).find(Boolean) ?? objectName;
+    for (const child of children) {
+        if (child.type !== 'element') continue;
+        const value = textOf(child)?.trim();
+        if (value && XML_OBJECT_ELEMENTS.has(child.name) && CUSTOM_SUFFIX.test(value)) {
+            refs.push({ kind: 'file', path: objectFile(value), type: 'CustomObject', name: value });
+        }
+        if (value && XML_FIELD_ELEMENTS.has(child.name) && localObject && /^[A-Za-z]\w*__c$/.test(value)) {
+            refs.push({ kind: 'file', path: fieldFile(localObject, value), type: 'CustomField', name: `${localObject}.${value}` });
+        }
+        // Ação Apex de flow: <actionCalls><actionName>Classe</actionName><actionType>apex</actionType>.
+        if (child.name === 'actionName' && childText(elem, 'actionType') === 'apex' && value) {
+            refs.push({ kind: 'file', path: classFile(value.split('.')[0]), type: 'ApexClass', name: value });
+        }
+        if (child.name === 'apexClass' && value) {
+            refs.push({ kind: 'file', path: classFile(value), type: 'ApexClass', name: value });
+        }
+        scanXmlElement(child, localObject, refs);
+    }
+};
+
+// Record type: cada <picklistValues> pede que os valores existam no campo.
+const scanRecordType = (relativePath, xmlObj, refs) => {
+    const objectName = fileObject(relativePath);
+    const rootElem = xmlObj.elements?.find(elem => elem.type === 'element');
+    for (const picklistValues of (rootElem?.elements ?? []).filter(elem => elem.name === 'picklistValues')) {
+        const fieldName = childText(picklistValues, 'picklist');
+        if (!fieldName?.endsWith('__c')) continue; // picklists padrão vivem em standardValueSets
+        for (const values of picklistValues.elements.filter(elem => elem.name === 'values')) {
+            const value = childText(values, 'fullName');
+            value && refs.push({
+                kind: 'picklistValue',
+                path: fieldFile(objectName, fieldName),
+                value: decodeValue(value),
+                type: 'PicklistValue',
+                name: `${objectName}.${fieldName}: ${decodeValue(value)}`
+            });
+        }
+    }
+};
+
+/**
+ * Referências de um arquivo do news.
+ *
+ * @param {string} relativePath Caminho relativo à raiz dos metadados.
+ * @param {string} content Conteúdo do arquivo.
+ * @returns {Array<object>} Referências (ver o topo do arquivo), sem duplicatas.
+ */
+const findReferences = (relativePath, content) => {
+    const refs = [];
+    // Bibliotecas de terceiros: nada do que elas citam é metadado da org.
+    if (relativePath.split(/[\\/]/)[0] === 'staticresources') return refs;
+    const objectName = fileObject(relativePath);
+    // Filho de objeto: o objeto sobe junto (ele pode ser novo também).
+    if (objectName && relativePath.split(/[\\/]/)[0] === 'objects' && !relativePath.endsWith('.object-meta.xml')) {
+        refs.push({ kind: 'file', path: objectFile(objectName), type: 'CustomObject', name: objectName });
+    }
+
+    if (relativePath.endsWith('.xml')) {
+        let xmlObj;
+        try {
+            xmlObj = convert.xml2js(content, { compact: false });
+        } catch (e) {
+            return refs; // XML inválido: a sanitização reporta
+        }
+        scanXmlElement(xmlObj, objectName, refs);
+        scanText(content, refs);
+        relativePath.includes(`${path.sep}recordTypes${path.sep}`) && scanRecordType(relativePath, xmlObj, refs);
+    } else if (CODE_EXTENSIONS.includes(path.extname(relativePath))) {
+        scanCode(content, refs);
+    }
+
+    const seen = new Set();
+    return refs.filter(ref => {
+        const key = `${ref.kind}:${ref.path ?? ref.name}:${ref.value ?? ''}`;
+        return !seen.has(key) && seen.add(key);
+    });
+};
+
+// Valores (fullName) do valueSet local de um campo picklist; vazio para global value sets.
+const picklistValueNames = (fieldXml) => {
+    const names = new Set();
+    const visit = (elem) => {
+        for (const child of elem.elements ?? []) {
+            if (child.name === 'value' && childText(child, 'fullName')) names.add(decodeValue(childText(child, 'fullName')));
+            else visit(child);
+        }
+    };
+    visit(convert.xml2js(fieldXml, { compact: false }));
+    return names;
+};
+
+module.exports = { findReferences, picklistValueNames };
@@ -0,0 +1,119 @@
+/**
+ * deployPlan.js
+ *
+ * Carrega e valida o plano de ondas de deploy (deployPlan.json) e devolve as ondas
+ * em ordem topológica segundo o "dependsOn" de cada uma.
+ *
+ * Formato:
+ * {
+ *   "waves": {
+ *     "<nome>": {
+ *       "components": ["classes", ...],   // pastas de force-app/main/default
+ *       "baseSource": "sanitized",        // "sanitized" (padrão) ou "news"
+ *       "testLevel": "RunSpecifiedTests", // nível de teste do sf project deploy
+ *       "tests": ["ATest", ...],          // opcional, só com RunSpecifiedTests; padrão: os
+ *                                         // selecionados (specifiedTests.txt) se a onda leva Apex,
+ *                                         // senão o DummyTest
+ *       "dependsOn": ["<nome>", ...],     // ondas que precisam subir antes
+ *       "description": "..."              // opcional, motivo da onda
+ *     }
+ *   }
+ * }
+ */
+const fs = require('fs-extra');
+const { METADATA_TYPES } = require('./metadataTypes');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+const BASE_SOURCES = ['sanitized', 'news'];
+const TEST_LEVELS = ['NoTestRun', 'RunSpecifiedTests', 'RunLocalTests', 'RunRelevantTests', 'RunAllTestsInOrg'];
+
+// Nome canônico da pasta (o plano pode usar 'Roles', 'flexiPages'...).
+const canonicalFolder = name => Object.keys(METADATA_TYPES).find(key => key.toLowerCase() === String(name).toLowerCase());
+
+const validateWave = (name, wave, waveNames, t) => {
+    if (!wave || typeof wave !== 'object' || Array.isArray(wave)) {
+        return [t('deployPlan.waveNotObject', { wave: name })];
+    }
+    const errors = [];
+    if (!Array.isArray(wave.components)) {
+        errors.push(t('deployPlan.componentsNotList', { wave: name }));
+    } else {
+        wave.components.filter(comp => !canonicalFolder(comp))
+            .forEach(comp => errors.push(t('deployPlan.unknownFolder', { wave: name, folder: comp })));
+    }
+    if (wave.baseSource !== undefined && !BASE_SOURCES.includes(wave.baseSource)) {
+        errors.push(t('deployPlan.invalidBaseSource', { wave: name, value: wave.baseSource, allowed: BASE_SOURCES }));
+    }
+    if (wave.testLevel !== undefined && !TEST_LEVELS.includes(wave.testLevel)) {
+        errors.push(t('deployPlan.invalidTestLevel', { wave: name, value: wave.testLevel, allowed: TEST_LEVELS }));
+    }
+    if (wave.tests !== undefined) {
+        if (!Array.isArray(wave.tests) || wave.tests.length === 0 || !wave.tests.every(test => typeof test === 'string' && test.trim())) {
+            errors.push(t('deployPlan.testsNotList', { wave: name }));
+        } else if ((wave.testLevel ?? 'RunSpecifiedTests') !== 'RunSpecifiedTests') {
+            errors.push(t('deployPlan.testsNeedSpecified', { wave: name }));
+        }
+    }
+    if (wave.dependsOn !== undefined && !Array.isArray(wave.dependsOn)) {
+        errors.push(t('deployPlan.dependsOnNotList', { wave: name }));
+    } else {
+        (wave.dependsOn ?? []).filter(dep => !waveNames.includes(dep))
+            .forEach(dep => errors.push(t('deployPlan.unknownDependency', { wave: name, dependency: dep })));
+    }
+    return errors;
+};
+
+// Kahn: a cada passo sai a primeira onda (na ordem do arquivo) cujas dependências já saíram.
+const sortWaves = (waves, t) => {
+    const ordered = [];
+    const done = new Set();
+    let pending = [...waves];
+    while (pending.length > 0) {
+        const next = pending.find(wave => wave.dependsOn.every(dep => done.has(dep)));
+        if (!next) {
+            throw new Error(t('deployPlan.circular', { waves: pending.map(wave => wave.name) }));
+        }
+        ordered.push(next);
+        done.add(next.name);
+        pending = pending.filter(wave => wave !== next);
+    }
+    return ordered;
+};
+
+/**
+ * Lê o plano de deploy e devolve as ondas validadas, em ordem de execução.
+ *
+ * @param {string} deployPlanFile Caminho do deployPlan.json.
+ * @param {string} [locale='pt-BR'] Idioma das mensagens de erro (messages.js).
+ * @returns {Array<{name: string, components: string[], baseSource: string, testLevel: string, tests?: string[], dependsOn: string[], description?: string}>}
+ * @throws {Error} Com todos os problemas encontrados no arquivo.
+ */
+const loadDeployPlan = (deployPlanFile, locale = DEFAULT_LOCALE) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    if (!fs.existsSync(deployPlanFile)) {
+        throw new Error(t('errors.fileMissing', { file: deployPlanFile }));
+    }
+
+    const { waves } = fs.readJsonSync(deployPlanFile);
+    if (!waves || typeof waves !== 'object' || Array.isArray(waves)) {
+        throw new Error(t('deployPlan.wavesMissing', { file: deployPlanFile }));
+    }
+
+    const waveNames = Object.keys(waves);
+    const errors = waveNames.flatMap(name => validateWave(name, waves[name], waveNames, t));
+    if (errors.length > 0) {
+        throw new Error(t('deployPlan.invalid', { file: deployPlanFile, errors }));
+    }
+
+    return sortWaves(waveNames.map(name => ({
+        name,
+        description: waves[name].description,
+        components: waves[name].components.map(canonicalFolder),
+        baseSource: waves[name].baseSource ?? 'sanitized',
+        testLevel: waves[name].testLevel ?? 'RunSpecifiedTests',
+        ...(waves[name].tests && { tests: waves[name].tests.map(test => test.trim()) }),
+        dependsOn: waves[name].dependsOn ?? []
+    })), t);
+};
+
+module.exports = { TEST_LEVELS, loadDeployPlan };
@@ -0,0 +1,114 @@
+/**
+ * deployRunner.js
+ *
+ * Executa as ondas de deploy em sequência pelo sf CLI (--json), para na primeira falha
+ * com um resumo por componente e grava o progresso para permitir --resume.
+ *
+ * Cada passo recebido tem o formato { name, options: [[flag, ...valores], ...] }, as mesmas
+ * opções usadas para escrever o deployCommands.txt.
+ */
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { consoleLogger } = require('./logger');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+const asArray = value => value === undefined || value === null ? [] : [].concat(value);
+
+const runSf = (sfPath, args, cwd) => new Promise(resolve => {
+    // No Windows o sf é um .cmd e só roda via shell.
+    execFile(sfPath, args, { cwd, maxBuffer: 64 * 1024 * 1024, shell: process.platform === 'win32' },
+        (error, stdout, stderr) => resolve({ error, stdout, stderr }));
+});
+
+// O sf devolve exit code != 0 nas falhas, mas o JSON continua no stdout.
+const parseSfOutput = ({ error, stdout, stderr }, locale) => {
+    try {
+        return JSON.parse(stdout);
+    } catch (e) {
+        return { status: 1, message: stderr?.trim() || error?.message || formatMessage(locale, 'deploy.notJson', { output: stdout }) };
+    }
+};
+
+const isSuccess = json => json.status === 0 && json.result?.success !== false;
+
+// Em falha o sf coloca o resultado do deploy em "data"; em sucesso, em "result".
+const summarizeFailure = (json, locale) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    const details = json.result?.details ?? json.data?.details ?? {};
+    const lines = [
+        ...asArray(details.componentFailures).map(failure =>
+            t('deploy.componentFailure', { type: failure.componentType, name: failure.fullName, line: failure.lineNumber, problem: failure.problem })),
+        ...asArray(details.runTestResult?.failures).map(failure =>
+            t('deploy.testFailure', { name: failure.name, method: failure.methodName, message: failure.message })),
+        ...asArray(details.runTestResult?.codeCoverageWarnings).map(warning =>
+            t('deploy.coverageWarning', { name: warning.name, message: warning.message }))
+    ];
+    if (lines.length === 0) {
+        lines.push(`  ${json.message ?? json.result?.errorMessage ?? t('deploy.unknownError')}`);
+    }
+    return lines;
+};
+
+const saveState = (stateFile, state) => fs.outputJson(stateFile, { ...state, updatedAt: new Date().toISOString() }, { spaces: 2 });
+
+const loadState = (stateFile, locale) => {
+    if (!fs.existsSync(stateFile)) {
+        throw new Error(formatMessage(locale, 'deploy.noState', { file: stateFile }));
+    }
+    return fs.readJsonSync(stateFile);
+};
+
+/**
+ * Roda os passos em ordem. Em --resume, lê o estado salvo e recomeça da onda que falhou.
+ *
+ * @param {object} options
+ * @param {Array<{name: string, options: string[][]}>} [options.steps] Passos a executar (ignorado em resume).
+ * @param {'deploy'|'validate'} [options.mode] sf project deploy start ou validate.
+ * @param {string} [options.targetOrg] Alias ou usuário da org.
+ * @param {string} [options.sfPath='sf'] Executável do sf (pode ser um script de stub).
+ * @param {string} options.stateFile Arquivo de progresso.
+ * @param {boolean} [options.resume=false] Retomar a partir do estado salvo.
+ * @param {string} [options.cwd=process.cwd()] Diretório onde o sf roda (os caminhos dos passos são relativos a ele).
+ * @param {{log: function, error: function}} [options.logger] Recebe as mensagens de progresso como chave do
+ *        catálogo e parâmetros (messages.js); por padrão imprime no console em pt-BR.
+ * @param {string} [options.locale='pt-BR'] Idioma do resumo das falhas e dos erros lançados.
+ * @throws {Error} Na primeira onda que falhar, depois de salvar o estado.
+ */
+const runDeployWaves = async ({ steps, mode, targetOrg, sfPath = 'sf', stateFile, resume = false, cwd = process.cwd(), logger = consoleLogger(), locale = DEFAULT_LOCALE }) => {
+    const state = resume
+        ? loadState(stateFile, locale)
+        : { mode, targetOrg, steps: steps.map(step => ({ ...step, status: 'pending' })) };
+    const command = state.mode === 'deploy' ? 'start' : 'validate';
+    await saveState(stateFile, state);
+
+    for (const step of state.steps) {
+        if (step.status === 'succeeded') {
+            logger.log('deploy.waveSkipped', { wave: step.name });
+            continue;
+        }
+
+        logger.log('deploy.waveRunning', { wave: step.name, command, targetOrg: state.targetOrg });
+        const args = ['project', 'deploy', command, ...step.options.flat(), '--target-org', state.targetOrg, '--json'];
+        const json = parseSfOutput(await runSf(sfPath, args, cwd), locale);
+        step.jobId = json.result?.id ?? json.data?.id;
+        step.finishedAt = new Date().toISOString();
+
+        if (isSuccess(json)) {
+            step.status = 'succeeded';
+            delete step.errors;
+            await saveState(stateFile, state);
+            logger.log('deploy.waveDone', { wave: step.name, jobId: step.jobId });
+            continue;
+        }
+
+        step.status = 'failed';
+        step.errors = summarizeFailure(json, locale);
+        await saveState(stateFile, state);
+        logger.error('deploy.waveFailed', { wave: step.name, errors: step.errors });
+        throw new Error(formatMessage(locale, 'deploy.interrupted', { wave: step.name }));
+    }
+
+    logger.log('deploy.allDone', { mode: state.mode, targetOrg: state.targetOrg });
+};
+
+module.exports = { runDeployWaves };
@@ -6,63 +6,170 @@
  * - Uso de early return para evitar aninhamentos profundos.
  * - Estrutura concisa e fácil de ler.
  *
+ * Também pode ser usado como biblioteca, sem estado global:
+ *   const { createDeployer } = require('./draft');
+ *   const deployer = createDeployer({ sourcePath, targetPath, workDir });
+ *   deployer.on('phase:start', ({ title }) => console.log(title));
+ *   const { deploySteps } = await deployer.run();
+ * Eventos: 'phase:start' { phase, title }, 'phase:end' { phase, durationMs, decisions },
+ * 'file' { phase, path, decision, level, key, params, message }, 'warning' { level, key, params, message },
+ * 'log' { level, key, params, message }. key/params vêm do catálogo (messages.js) e message é o
+ * texto no idioma do `locale`; logger.js imprime por nível e grava o --logFile (JSON Lines).
+ *
  * Pré-requisitos:
  * npm install fs-extra xml-js
  */
-const INACTIVATE = false; // Set to true to inactivate triggers, flows, etc.
 const fs = require('fs-extra');
+const { EventEmitter } = require('events');
 const convert = require('xml-js');
 const path = require('path');
-const { execSync } = require('child_process');
-const { injectHack } = require('./apexClassCoverageHack');
-
-const DEPLOY_STAGING = path.join(process.cwd(), 'deploy-staging');
-const NEWS_DIR = path.join(DEPLOY_STAGING, 'news', 'force-app', 'main', 'default');
-const SANITIZED_DIR = path.join(DEPLOY_STAGING, 'sanitized', 'force-app', 'main', 'default');
-const PACKAGES_DIR = path.join(DEPLOY_STAGING, 'packages');
-const METADATA_STATES_FILE = path.join(DEPLOY_STAGING, 'metadata-original-states.json');
-
-let originalStates = {};
-const changedFiles = []; // RATIONALE: Array to store the paths of new and modified files for the final diff output.
-
-// Helpers
-const getAllFiles = (dirPath, files = []) => {
-    if (!fs.existsSync(dirPath)) return files;
-    fs.readdirSync(dirPath).forEach(file => {
-        const fullPath = path.join(dirPath, file);
-        if (fs.statSync(fullPath).isDirectory()) return getAllFiles(fullPath, files);
-        files.push(fullPath);
-    });
-    return files;
+const { planInjection, buildCoverageTest } = require('./apexClassCoverageHack');
+const { resolveComponent, componentKey, bundleKey } = require('./metadataTypes');
+const { METADATA_NAMESPACE, readApiVersion, buildPackageXml, writeDestructivePackage } = require('./manifest');
+const { loadDeployPlan } = require('./deployPlan');
+const { runDeployWaves } = require('./deployRunner');
+const { compareXml } = require('./xmlCompare');
+const { isDecomposedFile, extractChangedChildren, decomposedComponents, childKeys, addChildren } = require('./decomposedMetadata');
+const { findReferences, picklistValueNames } = require('./dependencyScanner');
+const { isPermissionsFile, filterPermissions } = require('./permissionsFilter');
+const { measureFile, splitPackage } = require('./packageSplitter');
+const { fileDiff, renderMarkdown, renderPlan } = require('./changeReport');
+const { selectTestsByDependency, formatSpecifiedTests } = require('./listTests');
+const { createStagingFs } = require('./stagingFs');
+const { createDirectoryTree, createIndexedDirectoryTree, createGitTree, listGitChanges } = require('./metadataTree');
+const { isBinary, normalizeContent } = require('./hashIndex');
+const { loadSanitizationRules, ruleLog, dropsFile, applySanitizationRules } = require('./sanitizationRules');
+const { DEFAULT_LOCALE, LOCALES, formatMessage } = require('./messages');
+const { createLogger } = require('./logger');
+const { loadExceptionPaths, isExcluded, isTestIncluded, expiredExceptions, unmatchedExceptions, describeException } = require('./exceptionPaths');
+
+// Caminhos de trabalho, todos dentro de workDir (o diretório atual na CLI).
+const resolvePaths = (workDir) => {
+    const deployStaging = path.join(workDir, 'deploy-staging');
+    const packagesDir = path.join(deployStaging, 'packages');
+    return {
+        deployStaging,
+        newsDir: path.join(deployStaging, 'news', 'force-app', 'main', 'default'),
+        sanitizedDir: path.join(deployStaging, 'sanitized', 'force-app', 'main', 'default'),
+        packagesDir,
+        metadataStatesFile: path.join(deployStaging, 'metadata-original-states.json'),
+        destructivePackageDir: path.join(packagesDir, 'destructive'),
+        orphansFile: path.join(deployStaging, 'orphans.json'),
+        deployStateFile: path.join(deployStaging, 'deploy-state.json'),
+        reactivationDir: path.join(deployStaging, 'reactivation'),
+        testSelectionFile: path.join(deployStaging, 'testSelection.json'),
+        // Fora do deploy-staging, que o wipeDirectories apaga: o --removeHack vem numa execução posterior.
+        coverageHackManifestFile: path.join(workDir, 'coverage-hack-manifest.json'),
+        permissionDropsFile: path.join(deployStaging, 'permission-drops.json'),
+        errorsFile: path.join(deployStaging, 'errors.json'),
+        removeHackDir: path.join(deployStaging, 'removeHack'),
+        dummyTestDir: path.join(deployStaging, 'dummyTest')
+    };
 };
 
+// Estado de uma execução; recriado a cada run().
+const createRunState = () => ({
+    originalStates: {},
+    coverageHackManifest: [], // Classes that received testeXPTO and the tXPTO test generated for each.
+    changedFiles: [], // RATIONALE: Array to store the paths of new and modified files for the final diff output.
+    deletedFiles: [], // Paths that exist in the target but were removed from the source.
+    fileDifferences: {}, // relativePath -> XML elements that differ between source and target.
+    sanitizationActions: {}, // relativePath -> actions taken by sanitizeMetadata, for the change report.
+    dependencyReasons: {}, // relativePath -> why resolveDependencies pulled the file (or label) in.
+    createdFiles: new Set(),
+    createdDirs: new Set(),
+    lockedFiles: new Set(),
+    failures: [], // { phase, path, message } of files that failed and were left out of the packages.
+    phaseDecisions: {}, // phase -> decision -> count of file events, for the per-phase summary.
+    testClassCount: 0
+});
+
 /**
- * RATIONALE: This function normalizes file content by trimming whitespace
- * from each line and filtering out empty lines. This provides a more
- * reliable comparison than the previous full-content normalization,
- * as it is less sensitive to formatting changes like indentation while
- * still detecting meaningful structural and content changes, aligning
- * more closely with the behavior of `git diff -w`.
+ * Contexto passado a todas as fases: caminhos, stagingFs (em memória no dryRun), estado da
+ * execução e os helpers de log, que só emitem eventos — quem imprime é quem escuta (logger.js).
+ * Os helpers recebem uma chave do catálogo (messages.js) e os parâmetros; o evento leva os dois
+ * e o texto já no idioma do contexto.
+ *
+ * @param {object} [options]
+ * @param {string} [options.workDir=process.cwd()] Onde ficam deploy-staging, specifiedTests.txt, changes.*...
+ * @param {boolean} [options.dryRun=false] Nada é gravado em disco.
+ * @param {boolean} [options.failFast=false] O primeiro arquivo com erro interrompe a execução;
+ *        sem ele os erros são coletados (ctx.failures) e os arquivos ficam fora dos pacotes.
+ * @param {string} [options.locale='pt-BR'] Idioma das mensagens (pt-BR ou en).
+ * @param {EventEmitter} [options.emitter] Recebe os eventos de progresso.
  */
-const areFilesDifferent = (fileA, fileB) => {
-    if (!fs.existsSync(fileB)) return true;
-
-    const normalizeContent = (content) => {
-        // Handles both LF and CRLF line endings
-        return content.split(/\r?\n/)
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            .join('\n');
+const createContext = ({ workDir = process.cwd(), dryRun = false, failFast = false, locale = DEFAULT_LOCALE, emitter = new EventEmitter() } = {}) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    const emitLog = level => (key, params = {}) => emitter.emit('log', { level, key, params, message: t(key, params) });
+    const context = {
+        workDir,
+        dryRun,
+        failFast,
+        locale,
+        emitter,
+        paths: resolvePaths(workDir),
+        // Tudo o que o pipeline grava passa pelo stagingFs; no --dryRun ele fica em memória.
+        stagingFs: createStagingFs({ dryRun }),
+        ...createRunState(),
+        t,
+        error: emitLog('error'),
+        warn: (key, params = {}) => emitter.emit('warning', { level: 'warn', key, params, message: t(key, params) }),
+        log: emitLog('info'),
+        debug: emitLog('debug'),
+        // Decisão sobre um arquivo: info (aparece por padrão), debug (cada arquivo) ou trace (detalhe).
+        file: ({ key, params = {}, level = 'debug', ...event }) => {
+            const decisions = (context.phaseDecisions[event.phase] ??= {});
+            decisions[event.decision] = (decisions[event.decision] ?? 0) + 1;
+            emitter.emit('file', { ...event, level, key, params, message: t(key, { path: event.path, ...params }) });
+        }
     };
+    return context;
+};
 
-    const contentA = normalizeContent(fs.readFileSync(fileA, 'utf8'));
-    const contentB = normalizeContent(fs.readFileSync(fileB, 'utf8'));
+// Emite phase:start/phase:end em volta de uma fase; o phase:end leva a contagem das decisões.
+const phase = (name, fn) => async (ctx, ...args) => {
+    ctx.emitter.emit('phase:start', { phase: name, title: ctx.t(`phase.${name}`) });
+    const startedAt = Date.now();
+    const result = await fn(ctx, ...args);
+    ctx.emitter.emit('phase:end', { phase: name, durationMs: Date.now() - startedAt, decisions: ctx.phaseDecisions[name] ?? {} });
+    return result;
+};
 
-    return contentA !== contentB;
+// Helpers
+// -meta.xml são comparados semanticamente (xmlCompare.js), com a lista dos elementos que
+// diferem; Apex/LWC e XML inválido continuam na comparação por texto normalizado e binários
+// (staticresources) byte a byte. Árvores indexadas (hashIndex.js) comparam primeiro o hash.
+const compareFiles = (relativePath, source, target, ignoredElements = [], locale = DEFAULT_LOCALE) => {
+    if (!target.exists(relativePath)) return { different: true, differences: [] };
+
+    const hashA = source.contentHash?.(relativePath);
+    const hashB = target.contentHash?.(relativePath);
+    if (hashA && hashB) {
+        if (hashA === hashB) return { different: false, differences: [] };
+        // Só o -meta.xml pode ser igual com hash diferente (ordem dos elementos, ignoredElements).
+        if (!relativePath.endsWith('-meta.xml')) return { different: true, differences: [] };
+    }
+
+    const bufferA = source.readFile(relativePath);
+    const bufferB = target.readFile(relativePath);
+    if (isBinary(bufferA) || isBinary(bufferB)) {
+        return { different: !bufferA.equals(bufferB), differences: [] };
+    }
+    const contentA = bufferA.toString('utf8');
+    const contentB = bufferB.toString('utf8');
+    if (relativePath.endsWith('-meta.xml')) {
+        try {
+            const { equal, differences } = compareXml(contentA, contentB, { ignoredElements, locale });
+            return { different: !equal, differences };
+        } catch (e) {
+            // XML inválido em algum dos lados: segue para a comparação por texto.
+        }
+    }
+
+    return { different: normalizeContent(contentA) !== normalizeContent(contentB), differences: [] };
 };
 
-const lockedFiles = new Set();
-const getFileLock = async (...filePath) => {
+const getFileLock = async ({ lockedFiles }, ...filePath) => {
     while (filePath.some(file => lockedFiles.has(file))) {
         await new Promise(resolve => setTimeout(resolve, 100));
     }
@@ -71,101 +178,82 @@ const getFileLock = async (...filePath) => {
         lockedFiles.add(file);
     }
 }
-const releaseFileLock = (...filePath) => filePath.forEach(file => lockedFiles.delete(file));
-const CREATED_FILES_SET = new Set();
-const CREATED_DIRS_SET = new Set();
+const releaseFileLock = ({ lockedFiles }, ...filePath) => filePath.forEach(file => lockedFiles.delete(file));
 const fileCounterPath = (filePath) => filePath.endsWith('-meta.xml') ? filePath.replace('-meta.xml', '') : filePath + '-meta.xml';
-const copyFileWithStructure = async (filePath, sourceBase, destBase) => {
-    const fileCounterPart = fileCounterPath(filePath);
-
-    const relativePath = path.relative(sourceBase, filePath);
+// Copia o arquivo (e o -meta.xml correspondente, se houver) de uma árvore (metadataTree.js) para o staging.
+const copyFileWithStructure = async (ctx, relativePath, tree, destBase) => {
+    const { stagingFs, createdFiles, createdDirs } = ctx;
+    const fileCounterPart = fileCounterPath(relativePath);
     const destPath = path.join(destBase, relativePath);
 
     const destCounterPath = fileCounterPath(destPath);
     const dirname = path.dirname(destPath);
-    if (false === CREATED_DIRS_SET.has(dirname)) {
-        CREATED_DIRS_SET.add(dirname);
-        await fs.ensureDir(dirname);
+    if (false === createdDirs.has(dirname)) {
+        createdDirs.add(dirname);
+        await stagingFs.ensureDir(dirname);
     }
 
-    if (!CREATED_FILES_SET.has(destPath) && !CREATED_FILES_SET.has(destCounterPath)) {
-        CREATED_FILES_SET.add(destPath);
-        await getFileLock(destPath, destCounterPath);
-        await Promise.all([fs.copy(filePath, destPath), fs.copy(fileCounterPart, destCounterPath).catch(() => { })]);
-        releaseFileLock(destPath, destCounterPath);
+    if (!createdFiles.has(destPath) && !createdFiles.has(destCounterPath)) {
+        createdFiles.add(destPath);
+        await getFileLock(ctx, destPath, destCounterPath);
+        await Promise.all([
+            stagingFs.outputFile(destPath, tree.readFile(relativePath)),
+            tree.exists(fileCounterPart) && stagingFs.outputFile(destCounterPath, tree.readFile(fileCounterPart))
+        ]);
+        releaseFileLock(ctx, destPath, destCounterPath);
     }
 };
 
+// Arquivos de uma árvore agrupados por bundle (metadataTypes.bundleKey); os demais ficam de fora.
+const groupByBundle = (files) => {
+    const bundles = new Map();
+    for (const relativePath of files) {
+        const bundle = bundleKey(relativePath);
+        bundle && (bundles.get(bundle) ?? bundles.set(bundle, []).get(bundle)).push(relativePath);
+    }
+    return bundles;
+};
+
 const parseXml = xmlStr =>
     convert.xml2js(xmlStr, { compact: false, spaces: 4 });
 const buildXml = jsonObj =>
     convert.js2xml(jsonObj, { compact: false, spaces: 4 });
-const saveOriginalStates = () =>
-    fs.writeJson(METADATA_STATES_FILE, originalStates, { spaces: 2 });
-
-// Busca um elemento recursivamente; retorna null imediatamente se não encontrar.
-const findElement = (xmlObj, nodeName) => {
-    if (!xmlObj?.elements) return null;
-    for (const elem of xmlObj.elements) {
-        if (elem.name === nodeName) return elem;
-        const found = findElement(elem, nodeName);
-        if (found) return found;
-    }
-    return null;
-};
-
-// Remove todos os elementos com o nome dado usando uma abordagem funcional.
-const removeElements = (xmlObj, nodeName) => {
-    if (!xmlObj?.elements) return false;
-    let modified = false;
-    for (let i = xmlObj.elements.length - 1; i >= 0; i--) {
-        const elem = xmlObj.elements[i];
-        if (elem.name === nodeName) {
-            xmlObj.elements.splice(i, 1);
-            modified = true;
-        } else {
-            modified = removeElements(elem, nodeName) || modified;
-        }
-    }
-    return modified;
+const saveOriginalStates = ({ stagingFs, paths, originalStates }) =>
+    stagingFs.writeJson(paths.metadataStatesFile, originalStates, { spaces: 2 });
+// Loga e guarda a ação de sanitização para o relatório de mudanças.
+const recordSanitization = (ctx, relativePath, action, { rule, decision = 'sanitized' } = {}) => {
+    (ctx.sanitizationActions[relativePath] ??= []).push(action);
+    ctx.file({ phase: 'sanitizeMetadata', path: relativePath, decision, action, rule, level: 'info', key: 'file.sanitized', params: { action } });
+};
+
+// Erro em um arquivo: com --failFast interrompe a execução; senão fica em ctx.failures, o arquivo
+// sai dos pacotes (excludeFailedFiles) e a fase segue com os demais.
+const recordFailure = (ctx, phaseName, relativePath, err) => {
+    if (ctx.failFast) throw err;
+    // Mensagens do sax vêm em várias linhas (Line/Column/Char); uma linha por erro no relatório.
+    const message = err.message.replace(/\s*\n\s*/g, ' ');
+    ctx.failures.push({ phase: phaseName, path: relativePath, message });
+    ctx.file({ phase: phaseName, path: relativePath, decision: 'failed', level: 'error', key: 'file.failed', params: { error: message } });
 };
 
-// Remove o primeiro elemento encontrado com o nome dado.
-const removeElement = (xmlObj, nodeName) => {
-    if (!xmlObj?.elements) return;
-    const index = xmlObj.elements.findIndex(e => e.name === nodeName);
-    if (index !== -1) {
-        xmlObj.elements.splice(index, 1);
-        return;
+// Roda o processamento de um arquivo, registrando a falha em vez de propagá-la.
+const attempt = async (ctx, phaseName, relativePath, task) => {
+    try {
+        return await task();
+    } catch (err) {
+        recordFailure(ctx, phaseName, relativePath, err);
     }
-    xmlObj.elements.forEach(child => removeElement(child, nodeName));
 };
 
-// Processa actionOverrides em XML e marca para remoção se necessário.
-const processActionOverrides = xmlObj => {
-    if (!xmlObj?.elements) return false;
-    let modified = false;
-    xmlObj.elements = xmlObj.elements.filter(elem => {
-        if (elem.name === 'actionOverrides') {
-            const typeElem = findElement(elem, 'type');
-            if (typeElem && typeElem.elements[0].text !== 'Default') {
-                modified = true;
-                return false;
-            }
-            // FIX: Correctly check the actionName against a list of values.
-            const actionNameElem = findElement(elem, 'actionName');
-            const actionNameText = actionNameElem?.elements?.[0]?.text;
-            if (actionNameText && ['ResumeBilling', 'SuspendBilling'].includes(actionNameText)) {
-                modified = true;
-                return false;
-            }
-        }
-        if (processActionOverrides(elem)) {
-            modified = true;
-        }
-        return true;
-    });
-    return modified;
+// Guarda o estado original de um componente desativado, para o subcomando reactivate.
+const recordOriginalState = (ctx, relativePath, type, originalValue) => {
+    ctx.originalStates[relativePath] = { type, member: resolveComponent(relativePath)?.member, originalValue };
+};
+
+// Filho direto do elemento raiz (Flow, ApexTrigger...), sem descer nos elementos aninhados.
+const findRootChild = (xmlObj, nodeName) => {
+    const rootElem = xmlObj?.elements?.find(elem => elem.type === 'element');
+    return rootElem?.elements?.find(elem => elem.name === nodeName) ?? null;
 };
 
 const os = require('os');
@@ -174,9 +262,11 @@ class ConcurrencyManager {
         this.maxConcurrent = maxConcurrent;
         this.currentlyRunning = 0;
         this.queue = [];
+        this.error = null;
         this.allTasksCompleted = new Promise(resolve => this.resolveAllTasks = resolve);
     }
 
+    // O primeiro erro de uma tarefa é relançado pelo waitForAll.
     async run(task) {
         if (this.currentlyRunning >= this.maxConcurrent) {
             await new Promise(resolve => this.queue.push(resolve));
@@ -184,6 +274,8 @@ class ConcurrencyManager {
         this.currentlyRunning++;
         try {
             await task();
+        } catch (err) {
+            this.error ??= err;
         } finally {
             this.currentlyRunning--;
             if (this.queue.length > 0) {
@@ -196,170 +288,300 @@ class ConcurrencyManager {
     }
 
     async waitForAll() {
-        await this.allTasksCompleted;
-    }
-}
-
-const loadExceptionPaths = (exceptionPathFile) => {
-    if (!fs.existsSync(exceptionPathFile)) {
-        console.error(`Arquivo ${exceptionPathFile} não encontrado.`);
-        process.exit(1);
-    }
-
-    try {
-        const exceptionPaths = JSON.parse(fs.readFileSync(exceptionPathFile, 'utf8'));
-        const parsedExceptions = {};
-        for (const [exceptionKey, rule] of Object.entries(exceptionPaths)) {
-            rule.includeTests ??= [];
-            rule.ignoredPaths ??= [];
-            parsedExceptions[exceptionKey] = { ignoredPaths: [], includeTests: [] };
-            parsedExceptions[exceptionKey].ignoredPaths = rule.ignoredPaths.map(path => {
-                // If the pattern starts with a "/" assume it is a regex literal.
-                if (path.startsWith('/')) {
-                    // Find the last slash – characters between the first and last slash are taken as the regex pattern; what's after is treated as flags.
-                    const lastSlashIndex = path.lastIndexOf('/');
-                    const patternBody = path.slice(1, lastSlashIndex);
-                    const flags = path.slice(lastSlashIndex + 1); // This could be empty.
-                    return new RegExp(patternBody, flags);
-                } else {
-                    // Otherwise, treat it as plain text by escaping regex characters.
-                    return path;
-                }
-            });
-
-            parsedExceptions[exceptionKey].includeTests = rule.includeTests.map(path => {
-                // If the pattern starts with a "/" assume it is a regex literal.
-                if (path.startsWith('/')) {
-                    // Find the last slash – characters between the first and last slash are taken as the regex pattern; what's after is treated as flags.
-                    const lastSlashIndex = path.lastIndexOf('/');
-                    const patternBody = path.slice(1, lastSlashIndex);
-                    const flags = path.slice(lastSlashIndex + 1); // This could be empty.
-                    return new RegExp(patternBody, flags);
-                } else {
-                    // Otherwise, treat it as plain text by escaping regex characters.
-                    return path;
-                }
-            });
-        }
-
-        return parsedExceptions;
-    } catch (e) {
-        console.error(`Erro ao carregar exceptionPath: ${e.message}`);
-        process.exit(1);
-    }
-};
-
-const isPathException = (relativePath, exceptions) => {
-    const matchingPath = relativePath.split(path.sep).slice(1).join(path.sep);
-
-    const pathDir = path.dirname(relativePath);
-    for (const pattern of exceptions) {
-        if (pattern instanceof RegExp && pattern.test(relativePath)) {
-            return true;
-        }
-        if (typeof pattern === 'string') {
-            const normalizedPattern = path.normalize(pattern);
-            if (matchingPath.toLowerCase() === normalizedPattern.toLowerCase()) {
-                return true;
-            }
+        if (this.currentlyRunning > 0 || this.queue.length > 0) {
+            await this.allTasksCompleted;
         }
+        if (this.error) throw this.error;
     }
-    return false;
-};
+}
 
 // -------------------------------------------------------
 // Fase 1: Identificação de Metadados Novos
 // -------------------------------------------------------
-const identifyNewMetadata = async ({ sourcePath, targetPath, debug, exceptionMap }) => {
-    console.log('Fase 1: Identificação de metadados novos...');
-    await fs.ensureDir(NEWS_DIR);
-    const sourceFiles = getAllFiles(sourcePath);
-    const copiedFiles = new Set();
-
-    const isObjectRegex = /force-app\/main\/default\/objects\/([^\/]+)\//;
+// No modo git, `changes` (listGitChanges) limita a comparação aos arquivos que o git diz terem mudado.
+// Bundles (lwc, aura, staticresources, experiences) sobem inteiros: o deploy substitui a pasta toda,
+// então um membro novo, alterado ou removido leva todos os arquivos do bundle na origem.
+// Em objects/<Objeto> cada filho é deployável sozinho; só o .object-meta.xml acompanha os filhos alterados.
+const identifyNewMetadata = phase('identifyNewMetadata', async (ctx, { source, target, changes, exceptionMap }) => {
+    const { stagingFs, paths: { newsDir } } = ctx;
+    const skip = (relativePath, key) => ctx.file({ phase: 'identifyNewMetadata', path: relativePath, decision: 'ignored', level: 'info', key });
+    await stagingFs.ensureDir(newsDir);
+    const sourceFiles = changes
+        ? changes.filter(({ status }) => status !== 'deleted').map(change => change.path)
+        : source.listFiles();
+    source.prefetch(sourceFiles);
+    target.prefetch(sourceFiles);
+
+    const changedBundles = new Set();
+    // Bundles só são copiados no fim, com todos os membros; os demais arquivos vão direto.
+    const stage = (relativePath) => {
+        const bundle = bundleKey(relativePath);
+        return bundle ? changedBundles.add(bundle) : copyFileWithStructure(ctx, relativePath, source, newsDir);
+    };
     const concurrencyManager = new ConcurrencyManager(os.cpus().length);
 
     for (const sourceFile of sourceFiles) {
-        concurrencyManager.run(async () => {
-            const relativePath = path.relative(sourcePath, sourceFile);
+        concurrencyManager.run(() => attempt(ctx, 'identifyNewMetadata', sourceFile, async () => {
+            const relativePath = sourceFile;
             const paths = path.dirname(relativePath).split(path.sep);
             const exceptionKey = paths[0];
-            if (exceptionKey in exceptionMap && isPathException(relativePath, exceptionMap[exceptionKey].ignoredPaths ?? [])) {
-                // RATIONALE: Uncomment the line below to see every file that is being skipped by the exception rules.
-                // console.log(`[IGNORED BY EXCEPTION] ${relativePath}`);
+            const exception = isExcluded(exceptionMap, relativePath);
+            if (exception) {
+                ctx.file({ phase: 'identifyNewMetadata', path: relativePath, decision: 'ignored', key: 'identify.ignoredByException',
+                    params: { pattern: exception.pattern, reason: exception.reason ?? (exception.pattern === null ? ctx.t('identify.outsideIncludePaths', { folder: exception.folder }) : null) } });
                 return;
             }
 
             if (exceptionKey === 'standardValueSets' && sourceFile.endsWith('.xml')) {
-                const xmlContent = fs.readFileSync(sourceFile, 'utf8');
+                const xmlContent = source.readText(relativePath);
                 if (!xmlContent.includes('<standardValue>')) {
-                    console.log(`Ignorando arquivo sem <standardValue>: ${relativePath}`);
+                    skip(relativePath, 'identify.noStandardValue');
                     return;
                 }
             }
 
-            // FIX: Use the `paths` array for the check.
             if (exceptionKey === 'objects' && paths.length === 3 && paths[2] === 'listViews' && sourceFile.endsWith('-meta.xml')) {
-                const xmlContent = fs.readFileSync(sourceFile, 'utf8');
+                const xmlContent = source.readText(relativePath);
                 if (xmlContent.includes('<filterScope>Mine</filterScope>')) {
-                    console.log(`Ignorando arquivo com <filterScope>Mine</filterScope>: ${relativePath}`);
+                    skip(relativePath, 'identify.listViewMine');
                     return;
                 }
             }
 
-            const targetFile = path.join(targetPath, relativePath);
-            const sourceFileCounterPath = fileCounterPath(sourceFile);
-
-            if (copiedFiles.has(targetFile)) {
-                return;
+            // Labels, workflows e sharingRules: só os filhos novos/alterados vão para o news.
+            if (isDecomposedFile(relativePath) && target.exists(relativePath)) {
+                let extracted;
+                try {
+                    extracted = extractChangedChildren(relativePath, source.readText(relativePath), target.readText(relativePath), exceptionMap[exceptionKey]?.ignoredElements, ctx.locale);
+                } catch (e) {
+                    ctx.warn('identify.invalidXml', { path: relativePath, error: e.message });
+                }
+                if (extracted) {
+                    if (!extracted.xml) return;
+                    const destPath = path.join(newsDir, relativePath);
+                    ctx.createdFiles.add(destPath);
+                    await stagingFs.outputFile(destPath, extracted.xml, 'utf8');
+                    ctx.changedFiles.push(relativePath);
+                    ctx.fileDifferences[relativePath] = extracted.differences;
+                    ctx.file({ phase: 'identifyNewMetadata', path: relativePath, decision: 'modified', key: 'identify.modifiedPartial', params: { differences: extracted.differences } });
+                    return;
+                }
             }
-            copiedFiles.add(sourceFileCounterPath);
 
-            // RATIONALE: This block now also adds the relative path to our global
+            // RATIONALE: This block now also adds the relative path to the run's
             // changedFiles array, which will be used later to generate changes.diff.
-            if (!fs.existsSync(targetFile)) {
-                await copyFileWithStructure(sourceFile, sourcePath, NEWS_DIR);
-                changedFiles.push(relativePath);
-                debug && console.log(`Novo: ${relativePath}`);
-            } else if (areFilesDifferent(sourceFile, targetFile)) {
-                await copyFileWithStructure(sourceFile, sourcePath, NEWS_DIR);
-                changedFiles.push(relativePath);
-                debug && console.log(`Alterado: ${relativePath}`);
+            const comparison = target.exists(relativePath) && compareFiles(relativePath, source, target, exceptionMap[exceptionKey]?.ignoredElements, ctx.locale);
+            if (!comparison) {
+                await stage(relativePath);
+                ctx.changedFiles.push(relativePath);
+                ctx.file({ phase: 'identifyNewMetadata', path: relativePath, decision: 'new', key: 'identify.new' });
+            } else if (comparison.different) {
+                await stage(relativePath);
+                ctx.changedFiles.push(relativePath);
+                ctx.fileDifferences[relativePath] = comparison.differences;
+                ctx.file({ phase: 'identifyNewMetadata', path: relativePath, decision: 'modified', key: 'identify.modified', params: { differences: comparison.differences } });
             } else {
                 return;
             }
 
-            const isAnyObjectPartBeingCopied = isObjectRegex.test(relativePath);
-            if (isAnyObjectPartBeingCopied) {
-                const objectName = relativePath.match(isObjectRegex)[1];
-                const objectFile = path.join(sourcePath, 'force-app', 'main', 'default', 'objects', objectName, `${objectName}.object-meta.xml`);
-                await copyFileWithStructure(objectFile, sourcePath, NEWS_DIR);
+            // Filho de objeto (campo, listView...): o .object-meta.xml sobe junto.
+            const objectPath = resolveComponent(relativePath)?.parent?.path;
+            if (objectPath && source.exists(objectPath)) {
+                await copyFileWithStructure(ctx, objectPath, source, newsDir);
             }
-        });
+        }));
     }
 
     await concurrencyManager.waitForAll();
-};
+
+    // Membro removido de um bundle que continua na origem: o bundle muda sem nenhum arquivo novo.
+    const sourceBundles = groupByBundle(source.listFiles());
+    const removedFiles = changes
+        ? changes.flatMap(({ status, path: changedPath, oldPath }) => status === 'deleted' ? [changedPath] : status === 'renamed' ? [oldPath] : [])
+        : target.listFiles().filter(relativePath => !source.exists(relativePath));
+    for (const relativePath of removedFiles) {
+        const bundle = bundleKey(relativePath);
+        if (!bundle || !sourceBundles.has(bundle) || isExcluded(exceptionMap, relativePath)) continue;
+        changedBundles.add(bundle);
+        ctx.file({ phase: 'identifyNewMetadata', path: relativePath, decision: 'modified', key: 'identify.bundleMemberRemoved', params: { bundle } });
+    }
+
+    for (const bundle of changedBundles) {
+        const members = sourceBundles.get(bundle).filter(relativePath => !isExcluded(exceptionMap, relativePath));
+        source.prefetch(members);
+        for (const relativePath of members) {
+            await copyFileWithStructure(ctx, relativePath, source, newsDir);
+        }
+        ctx.file({ phase: 'identifyNewMetadata', path: bundle, decision: 'bundle', key: 'identify.bundleCopied', params: { count: members.length } });
+    }
+});
+
+// -------------------------------------------------------
+// Fase 1b: Identificação de Metadados Removidos
+// -------------------------------------------------------
+// Automações saem antes da primeira onda para não dispararem/conflitarem com o que está subindo;
+// o restante sai depois da última, quando o deploy já removeu as referências a eles (ver buildDeploySteps).
+const PRE_DESTRUCTIVE_TYPES = new Set(['ApexTrigger', 'Flow', 'FlowDefinition', 'ValidationRule']);
+// Passos (e "pacotes" do relatório) das remoções pré e pós.
+const DESTRUCTIVE_PRE_STEP = 'destructivePre';
+const DESTRUCTIVE_POST_STEP = 'destructive';
+
+const identifyDeletedMetadata = phase('identifyDeletedMetadata', async (ctx, { source, target, exceptionMap }) => {
+    const { destructivePackageDir } = ctx.paths;
+    const existsInSource = relativePath => source.exists(relativePath);
+    const sourceBundles = groupByBundle(source.listFiles());
+    const deletedComponents = new Map();
+
+    for (const relativePath of target.listFiles()) {
+        if (isExcluded(exceptionMap, relativePath)) {
+            continue;
+        }
+        if (existsInSource(relativePath) || existsInSource(fileCounterPath(relativePath))) {
+            continue;
+        }
+
+        const component = resolveComponent(relativePath);
+        if (!component) {
+            ctx.file({ phase: 'identifyDeletedMetadata', path: relativePath, decision: 'ignored', key: 'deleted.unknownType' });
+            continue;
+        }
+        // Um bundle só é removido quando some inteiro da origem (pasta e -meta.xml); arquivo a menos
+        // é alteração e o identifyNewMetadata já copiou o bundle.
+        const bundle = bundleKey(relativePath);
+        if (bundle && sourceBundles.has(bundle)) {
+            continue;
+        }
+        // Filhos de um objeto removido vão junto com o CustomObject.
+        if (component.parent && !existsInSource(component.parent.path)) {
+            continue;
+        }
+
+        ctx.deletedFiles.push(relativePath);
+        deletedComponents.set(componentKey(component), component);
+        ctx.file({ phase: 'identifyDeletedMetadata', path: relativePath, decision: 'deleted', key: 'deleted.file' });
+    }
+
+    if (deletedComponents.size === 0) {
+        ctx.log('deleted.none');
+        return { pre: [], post: [] };
+    }
+
+    const components = [...deletedComponents.values()];
+    const pre = components.filter(({ type }) => PRE_DESTRUCTIVE_TYPES.has(type));
+    const post = components.filter(({ type }) => !PRE_DESTRUCTIVE_TYPES.has(type));
+    await writeDestructivePackage(destructivePackageDir, { pre, post }, readApiVersion(ctx.workDir), ctx.stagingFs);
+    ctx.log('deleted.package', { count: components.length, pre: pre.length, post: post.length, dir: destructivePackageDir });
+    return { pre, post };
+});
+
+// -------------------------------------------------------
+// Fase 1c: Inclusão de Dependências Novas
+// -------------------------------------------------------
+// Layouts, flows, record types e classes do news podem citar componentes que também são novos
+// mas não vieram na comparação (includePaths, modo git, label de um arquivo não alterado).
+// Tudo o que existe na origem e não no destino entra no news, e o que foi incluído é varrido de
+// novo. O que está no ignoredPaths continua fora, só com um aviso: o deploy provavelmente falha.
+const LABELS_FILE = path.join('labels', 'CustomLabels.labels-meta.xml');
+
+const resolveDependencies = phase('resolveDependencies', async (ctx, { source, target, exceptionMap }) => {
+    const { stagingFs, paths: { newsDir } } = ctx;
+    const newsTree = createDirectoryTree(newsDir, stagingFs);
+    const queue = newsTree.listFiles().filter(relativePath => !isBinary(newsTree.readFile(relativePath)));
+    const scanned = new Set();
+    const pendingLabels = new Map();
+    let included = 0;
+
+    const blockedBy = (relativePath, reason) => {
+        const exception = isExcluded(exceptionMap, relativePath);
+        // Só o ignoredPaths bloqueia; estar fora do includePaths não impede a dependência.
+        if (!exception?.pattern) return false;
+        ctx.warn('dependencies.blocked', { path: relativePath, reason, exceptionReason: exception.reason });
+        return true;
+    };
+    const record = (relativePath, reason) => {
+        ctx.changedFiles.includes(relativePath) || ctx.changedFiles.push(relativePath);
+        (ctx.dependencyReasons[relativePath] ??= []).push(reason);
+        ctx.file({ phase: 'resolveDependencies', path: relativePath, decision: 'dependency', level: 'info', key: 'dependencies.included', params: { reason } });
+        included++;
+    };
+    const include = async (relativePath, reason) => {
+        if (blockedBy(relativePath, reason)) return;
+        await copyFileWithStructure(ctx, relativePath, source, newsDir);
+        record(relativePath, reason);
+        queue.push(relativePath);
+    };
+    // Campo que já existe no destino mas sem o valor usado pelo record type.
+    const missingPicklistValue = ({ path: fieldPath, value }) =>
+        picklistValueNames(source.readText(fieldPath)).has(value) && !picklistValueNames(target.readText(fieldPath)).has(value);
+
+    while (queue.length > 0) {
+        const relativePath = queue.shift();
+        if (scanned.has(relativePath)) continue;
+        scanned.add(relativePath);
+
+        await attempt(ctx, 'resolveDependencies', relativePath, async () => {
+            for (const ref of findReferences(relativePath, newsTree.readText(relativePath))) {
+                const reason = ctx.t('dependencies.reason', { type: ref.type, name: ref.name, from: relativePath });
+                if (ref.kind === 'label') {
+                    pendingLabels.has(ref.name) || pendingLabels.set(ref.name, reason);
+                    continue;
+                }
+                if (!source.exists(ref.path) || newsTree.exists(ref.path)) continue;
+                if (!target.exists(ref.path) || (ref.kind === 'picklistValue' && missingPicklistValue(ref))) {
+                    await include(ref.path, reason);
+                }
+            }
+        });
+    }
+
+    // Labels novos entram no CustomLabels mínimo do news (decomposedMetadata.js).
+    pendingLabels.size > 0 && source.exists(LABELS_FILE) && await attempt(ctx, 'resolveDependencies', LABELS_FILE, async () => {
+        const sourceXml = source.readText(LABELS_FILE);
+        const sourceKeys = childKeys(LABELS_FILE, sourceXml);
+        const targetKeys = target.exists(LABELS_FILE) ? childKeys(LABELS_FILE, target.readText(LABELS_FILE)) : new Set();
+        const stagedXml = newsTree.exists(LABELS_FILE) ? newsTree.readText(LABELS_FILE) : null;
+        const stagedKeys = stagedXml ? childKeys(LABELS_FILE, stagedXml) : new Set();
+        const labels = [...pendingLabels].filter(([name]) => {
+            const key = `labels[fullName=${name}]`;
+            return sourceKeys.has(key) && !targetKeys.has(key) && !stagedKeys.has(key);
+        });
+        if (labels.length > 0 && !blockedBy(LABELS_FILE, labels.map(([, reason]) => reason).join('; '))) {
+            const destPath = path.join(newsDir, LABELS_FILE);
+            ctx.createdFiles.add(destPath);
+            await stagingFs.outputFile(destPath, addChildren(LABELS_FILE, stagedXml, sourceXml, labels.map(([name]) => `labels[fullName=${name}]`)), 'utf8');
+            labels.forEach(([, reason]) => record(LABELS_FILE, reason));
+        }
+    });
+
+    included > 0 ? ctx.log('dependencies.summary', { count: included }) : ctx.log('dependencies.none');
+});
 
 // -------------------------------------------------------
 // Fase 2: Sanitização dos Metadados Novos
 // ------------------------------------------------------
-const sanitizeMetadata = async (exceptionMap, injectHackFlag = false) => {
-    console.log('Fase 2: Sanitização dos metadados...');
-    await fs.ensureDir(SANITIZED_DIR);
-    const newsFiles = getAllFiles(NEWS_DIR);
+// As regras de XML vêm do sanitizationRules.json (sanitizationRules.js); aqui ficam só as classes
+// de teste e o injectHack, que dependem do Apex. Devolve quantas vezes cada regra disparou.
+const sanitizeMetadata = phase('sanitizeMetadata', async (ctx, { exceptionMap, injectHack = false, inactivate = false, sanitizationRules = [] }) => {
+    const { stagingFs, paths: { newsDir, sanitizedDir } } = ctx;
+    const ruleCounts = Object.fromEntries([...sanitizationRules.map(({ name }) => [name, 0]), ['testClasses', 0], ['injectHack', 0]]);
+    await stagingFs.ensureDir(sanitizedDir);
+    const newsFiles = stagingFs.listFiles(newsDir);
+    const newsTree = createDirectoryTree(newsDir, stagingFs);
     const testClassesCounterSet = new Set();
     const concurrencyManager = new ConcurrencyManager(os.cpus().length);
     const dirCreatedSet = new Set();
+    const apiVersion = injectHack ? readApiVersion(ctx.workDir) : null;
 
     for (const file of newsFiles) {
-        concurrencyManager.run(async () => {
-            const relativePath = path.relative(NEWS_DIR, file);
-            const destSanitizedPath = path.join(SANITIZED_DIR, relativePath);
-
-            // do not copy webLinks under objects
-            if (relativePath.includes(path.join('objects', '')) && relativePath.includes(path.join('webLinks', ''))) {
-                console.log(`Removendo webLinks: ${relativePath}`);
+        concurrencyManager.run(() => attempt(ctx, 'sanitizeMetadata', path.relative(newsDir, file), async () => {
+            const relativePath = path.relative(newsDir, file);
+            const destSanitizedPath = path.join(sanitizedDir, relativePath);
+
+            // dropFile (ex.: webLinks de objects) vale para qualquer arquivo
+            const dropRule = dropsFile(sanitizationRules, relativePath, { inactivate });
+            if (dropRule) {
+                ruleCounts[dropRule.name]++;
+                recordSanitization(ctx, relativePath, ruleLog(dropRule, ctx.locale), { rule: dropRule.name, decision: 'dropped' });
                 return; // Skip copying this file
             }
 
@@ -369,20 +591,33 @@ const sanitizeMetadata = async (exceptionMap, injectHackFlag = false) => {
 
             const pathDir = path.dirname(relativePath);
             if (!file.endsWith('-meta.xml')) {
-                await copyFileWithStructure(file, NEWS_DIR, SANITIZED_DIR);
+                await copyFileWithStructure(ctx, relativePath, newsTree, sanitizedDir);
                 // For non-XML files, process as usual:
                 if (pathDir === 'classes') {
-                    // Presume injectHack returns an object where isTest indicates a test class
-                    const { isTest } = await injectHack(destSanitizedPath, injectHackFlag);
-                    const exceptionKey = path.dirname(relativePath).split(path.sep).pop().trim();
-                    const mustIncludeTest = isTest && exceptionKey in exceptionMap && isPathException(relativePath, exceptionMap[exceptionKey].includeTests ?? []);
+                    // planInjection only builds the content; the files go through stagingFs (memory on --dryRun).
+                    const original = await stagingFs.readFile(destSanitizedPath, 'utf8');
+                    const { isTest, content } = planInjection(original, relativePath, injectHack, ctx.debug);
+                    if (content) {
+                        const { testClass, files } = buildCoverageTest(path.basename(relativePath, '.cls'), ctx.testClassCount++, apiVersion);
+                        await Promise.all([
+                            stagingFs.outputFile(destSanitizedPath, content, 'utf8'),
+                            ...Object.entries(files).map(([fileName, fileContent]) => stagingFs.outputFile(path.join(path.dirname(destSanitizedPath), fileName), fileContent, 'utf8'))
+                        ]);
+                        // O corpo original vai no manifesto para o --removeHack restaurar a classe.
+                        const originalMeta = await stagingFs.readFile(fileCounterPath(file), 'utf8');
+                        ctx.coverageHackManifest.push({ className: path.basename(relativePath, '.cls'), path: relativePath, testClass, original, originalMeta });
+                        ruleCounts.injectHack++;
+                        recordSanitization(ctx, relativePath, ctx.t('hack.injected', { testClass }), { rule: 'injectHack', decision: 'injected' });
+                    }
+                    const mustIncludeTest = isTest && isTestIncluded(exceptionMap, relativePath);
 
                     if (isTest && false === mustIncludeTest) {
                         // Add the -meta.xml counterPart
                         testClassesCounterSet.add(fileCounterPath(file));
-                        console.log(`Ignorando test class: ${relativePath}`);
-                        await Promise.all([fs.unlink(destSanitizedPath),
-                        fs.unlink(fileCounterPath(destSanitizedPath))]);
+                        ruleCounts.testClasses++;
+                        recordSanitization(ctx, relativePath, ctx.t('sanitize.testClassRemoved'), { rule: 'testClasses', decision: 'dropped' });
+                        await Promise.all([stagingFs.unlink(destSanitizedPath),
+                        stagingFs.unlink(fileCounterPath(destSanitizedPath))]);
                     }
                 }
                 return;
@@ -392,249 +627,576 @@ const sanitizeMetadata = async (exceptionMap, injectHackFlag = false) => {
                 return;
             }
 
-            let xmlContent = fs.readFileSync(file, 'utf8');
+            let xmlContent = stagingFs.readFileSync(file, 'utf8');
             let xmlObj;
             try {
                 xmlObj = parseXml(xmlContent);
             } catch (error) {
-                console.error(`Erro no XML (${relativePath}): ${error.message}`);
-                process.exit(1);
+                throw new Error(ctx.t('errors.invalidXml', { path: relativePath, error: error.message }));
             }
 
-            let modified = false;
-            const pathDirs = path.dirname(relativePath).split(path.sep);
+            // Um setValue "required" sem o elemento lança e interrompe a fase.
+            const sanitized = applySanitizationRules(sanitizationRules, relativePath, xmlObj, { inactivate }, ctx.locale);
+            const { modified } = sanitized;
+            sanitized.originalStates.forEach(({ type, value }) => recordOriginalState(ctx, relativePath, type, value));
+            sanitized.fired.forEach(rule => {
+                ruleCounts[rule.name]++;
+                recordSanitization(ctx, relativePath, ruleLog(rule, ctx.locale), { rule: rule.name });
+            });
 
-            if (pathDirs[0] === 'permissionsets') {
-                const permissionSetElem = findElement(xmlObj, 'PermissionSet');
-                if (permissionSetElem) {
-                    permissionSetElem.elements = permissionSetElem.elements.filter(elem => elem.name === 'label');
-                    modified = true;
-                    console.log(`Corpo do PermissionSet removido: ${relativePath}`);
-                }
-            }
+            const finalXml = modified ? buildXml(xmlObj) : xmlContent;
 
-            // Flows: remover <areMetricsLoggedToDataCloud>
-            if (pathDirs[0] === 'flows') {
-                modified = removeElements(xmlObj, 'areMetricsLoggedToDataCloud') || modified;
-                if (modified) console.log(`Elementos <areMetricsLoggedToDataCloud> removidos: ${relativePath}`);
+            const dirPath = path.dirname(destSanitizedPath);
+            dirCreatedSet.has(dirPath) === false && await stagingFs.ensureDir(path.dirname(destSanitizedPath));
+            dirCreatedSet.add(dirPath);
+            await getFileLock(ctx, destSanitizedPath);
+            stagingFs.writeFileSync(destSanitizedPath, finalXml, 'utf8');
+            releaseFileLock(ctx, destSanitizedPath);
 
-                modified = removeElements(xmlObj, 'offset') || modified;
-                if (modified) console.log(`Elementos <areMetricsLoggedToDataCloud> removidos: ${relativePath}`);
+        }));
+    }
 
-                modified = removeElements(xmlObj, 'customErrors') || modified;
-                if (modified) console.log(`Elementos <areMetricsLoggedToDataCloud> removidos: ${relativePath}`);
-            }
+    await concurrencyManager.waitForAll();
+    await saveOriginalStates(ctx);
 
-            // queueRoutingConfigs: remover <capacityType>
-            if (pathDirs[0] === 'queueRoutingConfigs') {
-                modified = removeElements(xmlObj, 'capacityType') || modified;
-                if (modified) console.log(`Elementos <areMetricsLoggedToDataCloud> removidos: ${relativePath}`);
-            }
+    const width = Math.max(...Object.keys(ruleCounts).map(name => name.length));
+    ctx.log('sanitize.summary');
+    Object.entries(ruleCounts).forEach(([name, count]) => ctx.log('sanitize.summaryRow', { rule: name.padEnd(width), count }));
+    return ruleCounts;
+});
 
-            // Flow Definitions: remove <activeVersionNumber>
-            if (INACTIVATE && pathDirs[0] === 'flowDefinitions') {
-                const activeVersionElem = findElement(xmlObj, 'activeVersionNumber');
-                if (!activeVersionElem) {
-                    return; // já está inativado
-                }
-                originalStates[relativePath] = { type: 'FlowDefinition', originalValue: activeVersionElem.elements[0].text };
-                removeElement(xmlObj, 'activeVersionNumber');
-                modified = true;
-                console.log(`FlowDefinition desativada: ${relativePath}`);
+// -------------------------------------------------------
+// Fase 2b: Filtro de Permissões
+// -------------------------------------------------------
+// Profiles e PermissionSets ficam só com as permissões cujos componentes sobem nas ondas ou já
+// existem no destino (permissionsFilter.js). Roda depois da sanitização: um arquivo só "sobe" se
+// está no baseSource (news ou sanitized) de uma onda que leva a pasta dele e não falhou, então
+// classes de teste removidas do sanitized não contam. O que saiu vai para o relatório de mudanças
+// e para permission-drops.json.
+const filterPermissionFiles = phase('filterPermissions', async (ctx, { target, deployPlan }) => {
+    const { stagingFs, paths: { permissionDropsFile } } = ctx;
+    const folderOf = relativePath => relativePath.split(path.sep)[0].toLowerCase();
+    const wavesWith = relativePath => deployPlan.filter(({ components }) => components.some(comp => comp.toLowerCase() === folderOf(relativePath)));
+    const trees = Object.fromEntries([...new Set(deployPlan.map(({ baseSource }) => baseSource))]
+        .map(baseSource => [baseSource, createDirectoryTree(baseSourceDir(ctx, baseSource), stagingFs)]));
+    const shipsFrom = (relativePath, baseSource) => wavesWith(relativePath).some(wave => wave.baseSource === baseSource);
+    // Os arquivos com erro ainda estão no staging; o excludeFailedFiles os tira depois desta fase.
+    const failed = new Set(ctx.failures.flatMap(failure => [failure.path, fileCounterPath(failure.path)]));
+    const isShippedAnywhere = relativePath => !failed.has(relativePath) && wavesWith(relativePath).some(({ baseSource }) => trees[baseSource].exists(relativePath));
+    const isAvailable = relativePath => isShippedAnywhere(relativePath) || target.exists(relativePath);
+    const drops = [];
+    const recorded = new Set();
+
+    for (const [baseSource, tree] of Object.entries(trees)) {
+        for (const relativePath of tree.listFiles().filter(file => isPermissionsFile(file) && shipsFrom(file, baseSource))) {
+            let filtered;
+            try {
+                filtered = filterPermissions(tree.readText(relativePath), isAvailable);
+            } catch (e) {
+                recordFailure(ctx, 'filterPermissions', relativePath, new Error(ctx.t('errors.invalidXml', { path: relativePath, error: e.message })));
+                continue;
             }
+            if (!filtered.xml) continue;
 
-            // Validation Rules: desativa se <active> estiver true
-            if (INACTIVATE && pathDirs[0] === 'objects' && relativePath.includes(path.join('validationRules', ''))) {
-                const ruleElem = findElement(xmlObj, 'active');
-                if (!ruleElem) {
-                    console.error(`Elemento <active> ausente: ${relativePath}`);
-                    process.exit(1);
-                }
-                if (ruleElem.elements[0].text === 'true') {
-                    originalStates[relativePath] = { type: 'ValidationRule', originalValue: 'true' };
-                    ruleElem.elements[0].text = 'false';
-                    modified = true;
-                    console.log(`Validation rule desativada: ${relativePath}`);
-                }
+            await stagingFs.outputFile(path.join(baseSourceDir(ctx, baseSource), relativePath), filtered.xml, 'utf8');
+            // O mesmo arquivo pode estar no news e no sanitized; cada entrada removida conta uma vez.
+            const newDrops = filtered.dropped.filter(({ element, member }) => {
+                const key = `${relativePath}|${element}|${member}`;
+                return !recorded.has(key) && recorded.add(key);
+            });
+            for (const { element, member, missing } of newDrops) {
+                const reason = ctx.t('permissions.missing', { missing });
+                drops.push({ file: relativePath, element, member, missing, reason });
+                (ctx.sanitizationActions[relativePath] ??= []).push(ctx.t('permissions.dropped', { element, member, reason }));
+                ctx.file({ phase: 'filterPermissions', path: relativePath, decision: 'permissionDropped', level: 'trace', key: 'permissions.dropped', params: { element, member, reason } });
             }
+            newDrops.length > 0 && ctx.file({ phase: 'filterPermissions', path: relativePath, decision: 'filtered', level: 'info', key: 'permissions.fileSummary', params: { count: newDrops.length } });
+        }
+    }
 
-            // Objects: processa actionOverrides e compactLayoutAssignment
-            if (pathDirs[0] === 'objects' && file.endsWith('.object-meta.xml')) {
-                modified = processActionOverrides(xmlObj) || modified;
-                const compactElem = findElement(xmlObj, 'compactLayoutAssignment');
-                if (compactElem) {
-                    compactElem.elements[0].text = 'SYSTEM';
-                    modified = true;
-                }
-                if (modified) console.log(`Object ajustado: ${relativePath}`);
-            }
+    drops.length > 0 && await stagingFs.writeJson(permissionDropsFile, drops, { spaces: 2 });
+    drops.length > 0 ? ctx.log('permissions.summary', { count: drops.length, file: permissionDropsFile }) : ctx.log('permissions.none');
+    return drops;
+});
+
+// Arquivos que falharam saem do news e do sanitized (bundles inteiros), para não irem em nenhum pacote.
+const excludeFailedFiles = async (ctx) => {
+    const { stagingFs, paths: { newsDir, sanitizedDir } } = ctx;
+    const failedPaths = [...new Set(ctx.failures.map(failure => failure.path))];
+    for (const baseDir of [newsDir, sanitizedDir]) {
+        for (const relativePath of failedPaths) {
+            const bundle = bundleKey(relativePath);
+            const files = bundle
+                ? stagingFs.listFiles(path.join(baseDir, path.dirname(bundle))).filter(file => bundleKey(path.relative(baseDir, file)) === bundle)
+                : [relativePath, fileCounterPath(relativePath)].map(file => path.join(baseDir, file));
+            await Promise.all(files.map(file => stagingFs.remove(file)));
+        }
+    }
+};
 
-            // Queues: remove <queueMembers>
-            if (relativePath.includes(path.join('queues', ''))) {
-                modified = removeElements(xmlObj, 'queueMembers') || modified;
-                if (modified) console.log(`QueueMembers removido: ${relativePath}`);
-            }
+// Relatório consolidado dos erros coletados (errors.json e um resumo por fase no log).
+const reportFailures = async (ctx) => {
+    const { failures, paths: { errorsFile } } = ctx;
+    if (failures.length === 0) return;
+    await ctx.stagingFs.writeJson(errorsFile, failures, { spaces: 2 });
+    const byPhase = failures.reduce((acc, failure) => ({ ...acc, [failure.phase]: [...(acc[failure.phase] ?? []), failure] }), {});
+    ctx.error('failures.report', {
+        count: failures.length,
+        phases: Object.entries(byPhase).map(([phaseName, phaseFailures]) => ({ phase: phaseName, failures: phaseFailures })),
+        file: errorsFile
+    });
+};
 
-            const finalXml = modified ? buildXml(xmlObj) : xmlContent;
+// -------------------------------------------------------
+// Fase 3: Gerar Pacotes de Deploy
+// -------------------------------------------------------
+// As ondas vêm do deployPlan.json (ver deployPlan.js), já em ordem de dependência.
+const baseSourceDir = ({ paths }, baseSource) => ({ news: paths.newsDir, sanitized: paths.sanitizedDir })[baseSource];
+// Gera packages/<pacote>/manifest/package.xml com todos os membros copiados para o pacote e os devolve.
+const writePackageManifest = async (ctx, pkgName, pkgDir, apiVersion) => {
+    const { stagingFs } = ctx;
+    const components = [];
+    for (const file of stagingFs.listFiles(pkgDir)) {
+        const relativePath = path.relative(pkgDir, file);
+        if (isDecomposedFile(relativePath)) {
+            components.push(...decomposedComponents(relativePath, await stagingFs.readFile(file, 'utf8')));
+            continue;
+        }
+        const component = resolveComponent(relativePath);
+        if (!component) {
+            ctx.warn('packages.unknownType', { pkg: pkgName, path: relativePath });
+            continue;
+        }
+        components.push(component);
+        ctx.file({ phase: 'generateDeployPackages', path: relativePath, decision: 'packaged', level: 'trace', key: 'packages.file', params: { pkg: pkgName } });
+    }
+    if (components.length === 0) return components;
 
-            const dirPath = path.dirname(destSanitizedPath);
-            dirCreatedSet.has(dirPath) === false && await fs.ensureDir(path.dirname(destSanitizedPath));
-            dirCreatedSet.add(dirPath);
-            await getFileLock(destSanitizedPath);
-            fs.writeFileSync(destSanitizedPath, finalXml, 'utf8');
-            releaseFileLock(destSanitizedPath);
+    const manifestPath = path.join(ctx.paths.packagesDir, pkgName, 'manifest', 'package.xml');
+    await stagingFs.outputFile(manifestPath, buildPackageXml(components, apiVersion), 'utf8');
+    ctx.log('packages.manifest', { path: path.relative(ctx.workDir, manifestPath) });
+    return components;
+};
 
+// Arquivos alterados cuja pasta não está em nenhuma onda: iriam para news/sanitized e sumiriam do release.
+const reportOrphanedComponents = async (ctx, deployPlan, strictPackaging) => {
+    const { stagingFs, paths: { newsDir, orphansFile } } = ctx;
+    const packagedFolders = new Set(deployPlan.flatMap(({ components }) => components.map(comp => comp.toLowerCase())));
+    const orphans = stagingFs.listFiles(newsDir)
+        .map(file => path.relative(newsDir, file))
+        .filter(relativePath => !packagedFolders.has(relativePath.split(path.sep)[0].toLowerCase()))
+        .sort()
+        .map(relativePath => {
+            const component = resolveComponent(relativePath);
+            return { path: relativePath, folder: relativePath.split(path.sep)[0], type: component?.type ?? null, member: component?.member ?? null };
         });
-    }
 
-    await concurrencyManager.waitForAll();
-    await saveOriginalStates();
+    await stagingFs.writeJson(orphansFile, orphans, { spaces: 2 });
+    if (orphans.length === 0) return orphans;
+
+    const byFolder = orphans.reduce((acc, { folder }) => ({ ...acc, [folder]: (acc[folder] ?? 0) + 1 }), {});
+    ctx.warn('packages.orphans', {
+        count: orphans.length,
+        folders: Object.entries(byFolder).map(([folder, count]) => ({ folder, count })),
+        paths: orphans.map(({ path: orphanPath }) => orphanPath),
+        file: orphansFile
+    });
+
+    if (strictPackaging) {
+        throw new Error(ctx.t('errors.strictPackaging', { count: orphans.length, file: orphansFile }));
+    }
+    return orphans;
 };
 
-// -------------------------------------------------------
-// Fase 3: Gerar Pacotes de Deploy
-// -------------------------------------------------------
-const PACKAGES = {
-    package0: {
-        components: ['permissionsets', 'customPermissions']
-    },
-    package1: {
-        components: ['labels', 'standardValueSets', 'groups', 'objects', 'customMetadata', 'queues', 'queueRoutingConfigs', 'remoteSiteSettings']
-    },
-    package2: {
-        components: ['globalValueSets', 'staticresources']
-    },
-    package3: {
-        components: ['tabs', 'classes', 'triggers', 'pages', 'lwc', 'aura']
-    },
-    package4: {
-        components: ['flows', 'flowDefinitions', /*'Email', 'letterhead', feito deploy direto da pasta hml, " Unable to calculate fullName from component at path: (EmailTemplate)"*/ 'labels', 'SharingRules', 'workflows', /*'assignmentRules,' só tem lead e case, sem alteração no CRM*/ 'approvalProcesses']//alguns flows usam email alerts que ficam dentro de workflows
-    },
-    package5: {
-        components: []
-    },
-    package6: {
-        components: []
-    },
-    package7: {
-        components: []
-    },
-    package8: {
-        components: []
-    },
-    package9: {
-        baseSource: NEWS_DIR,
-        components: ['objects', 'quickActions', 'layouts', 'flexiPages']
-    },
-    package10: {
-        components: ['applications']
-    },
-    package11: {
-        baseSource: NEWS_DIR,
-        components: ['profiles', 'permissionsets', 'customPermissions', 'permissionsetgroups']
-    },
-    package12: {
-        components: ['Roles']//roles são necessários para sharingRules, subir antes deles
-    },
-    package13: {
-        components: []//objectTranslations
-    }
-};
-const generateDeployPackages = async () => {
-    console.log('Fase 3: Gerando pacotes de deploy...');
-    // Define your packages along with an optional baseSource per package.
+const toMb = bytes => (bytes / 1024 / 1024).toFixed(1);
+
+// Mede a onda já montada e, se ela passar dos limites da Metadata API (packageSplitter.js), move os
+// arquivos para <pacote>_1, <pacote>_2... Devolve os nomes dos pacotes da onda, na ordem de deploy.
+const splitWavePackage = async (ctx, pkgName, pkgDir, packageLimits) => {
+    const { stagingFs, paths: { packagesDir } } = ctx;
+    const files = [];
+    for (const file of stagingFs.listFiles(pkgDir)) {
+        files.push(measureFile(path.relative(pkgDir, file), await stagingFs.readFile(file)));
+    }
+    const { parts, oversized } = splitPackage(files, packageLimits);
+    oversized.forEach(({ unit, files: fileCount, zipped, unzipped }) => ctx.warn('packages.unitTooLarge', { pkg: pkgName, unit, files: fileCount, zippedMb: toMb(zipped), unzippedMb: toMb(unzipped) }));
+    if (parts.length === 1) return [pkgName];
+
+    const partNames = parts.map((part, index) => `${pkgName}_${index + 1}`);
+    for (const [index, part] of parts.entries()) {
+        const partDir = path.join(packagesDir, partNames[index], 'force-app', 'main', 'default');
+        for (const relativePath of part.paths) {
+            await stagingFs.copy(path.join(pkgDir, relativePath), path.join(partDir, relativePath));
+        }
+    }
+    await stagingFs.remove(path.join(packagesDir, pkgName));
+    ctx.log('packages.split', {
+        pkg: pkgName,
+        parts: parts.map(({ files: fileCount, zipped, unzipped }, index) => ({ name: partNames[index], files: fileCount, zippedMb: toMb(zipped), unzippedMb: toMb(unzipped) }))
+    });
+    return partNames;
+};
 
+// Devolve os componentes de cada pacote, os órfãos e os pacotes montados na ordem de deploy: uma
+// entrada por onda, ou uma por sub-pacote (com "wave" apontando para a onda) quando ela foi repartida.
+const generateDeployPackages = phase('generateDeployPackages', async (ctx, { deployPlan, strictPackaging = false, packageLimits }) => {
+    const { stagingFs } = ctx;
+    const apiVersion = readApiVersion(ctx.workDir);
+    const packages = {};
+    const wavePackages = {};
     const concurrencyManager = new ConcurrencyManager(os.cpus().length);
-    // Process each package using the defined baseSource (default to SANITIZED_DIR)
-    for (const [pkgName, { components, baseSource = SANITIZED_DIR }] of Object.entries(PACKAGES)) {
+    // Process each wave using its baseSource (sanitized unless the plan says news)
+    for (const { name: pkgName, components, baseSource } of deployPlan) {
         concurrencyManager.run(async () => {
-            const pkgDir = path.join(PACKAGES_DIR, pkgName, 'force-app', 'main', 'default');
-            await fs.ensureDir(pkgDir);
-            console.log(`Criando pacote ${pkgName} com [${components.join(', ')}] usando base "${baseSource === NEWS_DIR ? 'NEWS_DIR' : 'SANITIZED_DIR'}"`);
+            const pkgDir = path.join(ctx.paths.packagesDir, pkgName, 'force-app', 'main', 'default');
+            await stagingFs.ensureDir(pkgDir);
+            ctx.log('packages.creating', { pkg: pkgName, components, base: baseSource });
 
             // For each component, copy its folder structure from the specified baseSource
             for (const comp of components) {
-                const compSourceDir = path.join(baseSource, comp);
-                if (!fs.existsSync(compSourceDir)) {
+                const compSourceDir = path.join(baseSourceDir(ctx, baseSource), comp);
+                if (!stagingFs.existsSync(compSourceDir)) {
                     continue;
                 }
                 const destDir = path.join(pkgDir, comp);
-                await fs.copy(compSourceDir, destDir);
+                await stagingFs.copy(compSourceDir, destDir);
+            }
+            wavePackages[pkgName] = await splitWavePackage(ctx, pkgName, pkgDir, packageLimits);
+            for (const partName of wavePackages[pkgName]) {
+                const partDir = path.join(ctx.paths.packagesDir, partName, 'force-app', 'main', 'default');
+                packages[partName] = await writePackageManifest(ctx, partName, partDir, apiVersion);
             }
         });
 
     }
     await concurrencyManager.waitForAll();
+    const orphans = await reportOrphanedComponents(ctx, deployPlan, strictPackaging);
+    // Cada sub-pacote leva só as pastas que caíram nele (os testes da onda vão com as classes).
+    const hasFolder = (pkgName, comp) => stagingFs.existsSync(path.join(ctx.paths.packagesDir, pkgName, 'force-app', 'main', 'default', comp));
+    const deployPackages = deployPlan.flatMap(wave => wavePackages[wave.name].length === 1
+        ? [wave]
+        : wavePackages[wave.name].map(partName => ({ ...wave, name: partName, wave: wave.name, components: wave.components.filter(comp => hasFolder(partName, comp)) })));
+    return { packages, orphans, deployPackages };
+});
+// -------------------------------------------------------
+// Fase 4: Seleção de Testes
+// -------------------------------------------------------
+// Menor conjunto de testes existentes que exercitam as classes/triggers alteradas, mais os
+// includeTests do exceptionPath.json; o resultado vai para o specifiedTests.txt.
+const selectTests = phase('selectTests', async (ctx, { source, target, deployPackages, exceptionMap }) => {
+    const { stagingFs } = ctx;
+    const changedNames = (folder, extension) => ctx.changedFiles
+        .filter(file => path.dirname(file) === folder && file.endsWith(extension))
+        .map(file => path.basename(file, extension));
+
+    // Só rodam testes que já estão na org ou que sobem junto num pacote das classes.
+    const deployedClassesDirs = deployPackages.filter(({ components }) => components.includes('classes'))
+        .map(({ name }) => path.join(ctx.paths.packagesDir, name, 'force-app', 'main', 'default', 'classes'));
+    const isAvailable = testName => target.exists(path.join('classes', `${testName}.cls`))
+        || deployedClassesDirs.some(dir => stagingFs.existsSync(path.join(dir, `${testName}.cls`)));
+    const isIncluded = testName => isTestIncluded(exceptionMap, path.join('classes', `${testName}.cls`));
+
+    const selection = selectTestsByDependency({
+        source,
+        changedClasses: changedNames('classes', '.cls'),
+        changedTriggers: changedNames('triggers', '.trigger'),
+        isAvailable,
+        isIncluded
+    });
+    await stagingFs.outputFile(path.join(ctx.workDir, 'specifiedTests.txt'), formatSpecifiedTests(selection.tests), 'utf8');
+    await stagingFs.writeJson(ctx.paths.testSelectionFile, selection, { spaces: 2 });
+
+    ctx.log('tests.selected', { tests: selection.tests });
+    if (selection.untested.length > 0) {
+        ctx.warn('tests.untested', { classes: selection.untested });
+    }
+    await saveCoverageHackManifest(ctx, selection);
+    return selection;
+});
+
+// coverage-hack-manifest.json: cada classe do --injectHack com o corpo original e os testes
+// selecionados para ela, que o --removeHack roda ao restaurá-la. As classes de execuções anteriores
+// continuam lá (o hack delas segue na org) até uma nova injeção na mesma classe.
+const saveCoverageHackManifest = async (ctx, { coverage }) => {
+    const { stagingFs, coverageHackManifest, paths: { coverageHackManifestFile } } = ctx;
+    if (coverageHackManifest.length === 0) return;
+    const injected = coverageHackManifest.map(entry => ({
+        ...entry,
+        tests: Object.keys(coverage).filter(test => coverage[test].includes(entry.className))
+    }));
+    const previous = stagingFs.existsSync(coverageHackManifestFile) ? JSON.parse(stagingFs.readFileSync(coverageHackManifestFile, 'utf8')) : [];
+    const kept = previous.filter(({ className }) => !injected.some(entry => entry.className === className));
+    await stagingFs.writeJson(coverageHackManifestFile, [...kept, ...injected], { spaces: 2 });
 };
-// Function to generate deployment commands
-const generateDeployCommands = async () => {
-    const specifiedTestsPath = path.join(process.cwd(), 'specifiedTests.txt');
-    const specifiedTests = fs.existsSync(specifiedTestsPath) ? fs.readFileSync(specifiedTestsPath, 'utf8') : '';
-    const deployCommandsPath = path.join(process.cwd(), 'deployCommands.txt');
 
-    const commands = Object.entries(PACKAGES).map(([pkgName, { components }], index) => {
-        if (components.length === 0) return '';
+// Testes listados pelo listTests no specifiedTests.txt (formato: -t "A" "B").
+const readSpecifiedTests = ({ stagingFs, workDir }) => {
+    const specifiedTestsPath = path.join(workDir, 'specifiedTests.txt');
+    if (!stagingFs.existsSync(specifiedTestsPath)) return [];
+    return [...stagingFs.readFileSync(specifiedTestsPath, 'utf8').matchAll(/"([^"]+)"/g)].map(([, testName]) => testName);
+};
 
-        const packageDir = path.relative(process.cwd(), path.join(DEPLOY_STAGING, 'packages', pkgName)).split(path.sep).join(path.posix.sep);
-        const testOption = pkgName === 'package3' ? specifiedTests : '-t "Dummy"';
-        const command = `sf project deploy validate --source-dir ./${packageDir} --source-dir ./DummyTest.cls -l RunSpecifiedTests ${testOption} --target-org`;
+// Os comandos rodam a partir do workDir, então os caminhos saem relativos a ele.
+const toWorkDirPath = ({ workDir }, dir) => `./${path.relative(workDir, dir).split(path.sep).join(path.posix.sep)}`;
+
+// Teste vazio para o RunSpecifiedTests de pacotes sem Apex (o sf exige ao menos um -t).
+const DUMMY_TEST = 'DummyTest';
+const APEX_FOLDERS = ['classes', 'triggers'];
+
+// O DummyTest.cls que acompanha o script, com o -meta.xml na versão de API do projeto.
+const writeDummyTest = async (writer, classesDir, apiVersion) => {
+    await writer.outputFile(path.join(classesDir, `${DUMMY_TEST}.cls`), fs.readFileSync(path.join(__dirname, `${DUMMY_TEST}.cls`), 'utf8'), 'utf8');
+    await writer.outputFile(path.join(classesDir, `${DUMMY_TEST}.cls-meta.xml`), `<?xml version="1.0" encoding="UTF-8"?>
+<ApexClass xmlns="${METADATA_NAMESPACE}">
+    <apiVersion>${apiVersion}</apiVersion>
+    <status>Active</status>
+</ApexClass>
+`, 'utf8');
+};
+const usesDummyTest = ({ options }) => options.some(([flag, ...values]) => flag === '-t' && values.includes(DUMMY_TEST));
+
+// Cada passo é um pacote montado (a onda ou um sub-pacote dela) ou o destrutivo, com as opções do
+// "sf project deploy"; alimenta tanto o deployCommands.txt quanto o deployRunner.
+// Em produção o NoTestRun não é aceito para Apex, então um pacote assim interrompe a geração.
+const buildDeploySteps = (ctx, deployPackages, { production = false } = {}) => {
+    const { stagingFs, paths: { packagesDir, destructivePackageDir, dummyTestDir, testSelectionFile } } = ctx;
+    const specifiedTests = readSpecifiedTests(ctx);
+    const hasApex = pkgName => APEX_FOLDERS.some(folder => stagingFs.existsSync(path.join(packagesDir, pkgName, 'force-app', 'main', 'default', folder)));
+    // Só os pacotes com arquivos (o writePackageManifest gravou o package.xml): o sf recusa um --source-dir vazio.
+    const deployable = deployPackages.filter(({ name: pkgName }) => stagingFs.existsSync(path.join(packagesDir, pkgName, 'manifest', 'package.xml')));
+
+    // Sub-pacotes de uma onda repartida: cada um roda os testes selecionados que sobem nele e os que
+    // exercitam as classes/triggers dele (pelo coverage do testSelection.json), se o teste não subir
+    // só num sub-pacote seguinte. Teste selecionado sem relação com a onda (includeTests) vai no primeiro com Apex.
+    const { coverage = {} } = stagingFs.existsSync(testSelectionFile) ? JSON.parse(stagingFs.readFileSync(testSelectionFile, 'utf8')) : {};
+    const apexNames = pkgName => APEX_FOLDERS.flatMap(folder => stagingFs.listFiles(path.join(packagesDir, pkgName, 'force-app', 'main', 'default', folder)))
+        .filter(file => /\.(cls|trigger)$/.test(file))
+        .map(file => path.basename(file).replace(/\.(cls|trigger)$/, ''));
+    const partTests = (pkgName, wave) => {
+        const parts = deployable.filter(pkg => pkg.wave === wave).map(({ name }) => name);
+        const namesByPart = parts.map(apexNames);
+        const index = parts.indexOf(pkgName);
+        const ships = (test, names) => names.includes(test);
+        const covers = (test, names) => (coverage[test] ?? []).some(name => names.includes(name));
+        return specifiedTests.filter(test => ships(test, namesByPart[index])
+            || (covers(test, namesByPart[index]) && !namesByPart.slice(index + 1).some(names => ships(test, names)))
+            || (!namesByPart.some(names => ships(test, names) || covers(test, names)) && parts.find(hasApex) === pkgName));
+    };
 
-        return `---------------- PACKAGE${index} ----------------\n${command}\n---------------- PACKAGE${index} ----------------`;
-    }).filter(Boolean).join('\n\n');
+    // Os tXPTO do --injectHack não estão na origem, então o listTests não os escolhe: cada um roda no
+    // pacote (ou sub-pacote) que o leva, para cobrir o testeXPTO injetado.
+    const hackTests = pkgName => ctx.coverageHackManifest.map(({ testClass }) => testClass)
+        .filter(testClass => stagingFs.existsSync(path.join(packagesDir, pkgName, 'force-app', 'main', 'default', 'classes', `${testClass}.cls`)));
 
-    fs.writeFileSync(deployCommandsPath, commands, 'utf8');
-    console.log('Deployment commands written to deployCommands.txt');
+    const unsafe = deployable.filter(({ name: pkgName, testLevel }) => testLevel === 'NoTestRun' && hasApex(pkgName));
+    if (production && unsafe.length > 0) {
+        throw new Error(ctx.t('errors.productionNoTestRun', { packages: unsafe.map(({ name }) => name) }));
+    }
+
+    const steps = deployable.map(({ name: pkgName, testLevel, tests, wave }) => {
+        const options = [['--source-dir', toWorkDirPath(ctx, path.join(packagesDir, pkgName, 'force-app'))], ['-l', testLevel]];
+        if (testLevel === 'RunSpecifiedTests') {
+            // Sem "tests" no plano: o pacote com Apex roda os selecionados (specifiedTests.txt, ou a parte
+            // deles que cabe ao sub-pacote), mais os tXPTO que ele leva; sem nenhum, o DummyTest.
+            const selected = wave ? partTests(pkgName, wave) : specifiedTests;
+            const planned = [...(tests ?? (hasApex(pkgName) ? selected : [])), ...hackTests(pkgName)];
+            const stepTests = planned.length > 0 ? [...new Set(planned)] : [DUMMY_TEST];
+            stepTests.includes(DUMMY_TEST) && options.splice(1, 0, ['--source-dir', toWorkDirPath(ctx, dummyTestDir)]);
+            options.push(['-t', ...stepTests]);
+        }
+        return { name: pkgName, options };
+    });
+
+    // O destructiveChanges.xml (pré) roda num passo antes da primeira onda e o destructiveChangesPost.xml
+    // (pós) num depois da última. O sf só aceita esses manifestos junto com --manifest, então eles não
+    // entram no comando de uma onda (que sobe por --source-dir): cada um vai com o package.xml vazio.
+    const destructiveStep = (name, file, flag) => stagingFs.existsSync(path.join(destructivePackageDir, file))
+        ? [{ name, options: [['--manifest', toWorkDirPath(ctx, path.join(destructivePackageDir, 'package.xml'))], [flag, toWorkDirPath(ctx, path.join(destructivePackageDir, file))]] }]
+        : [];
+    return [
+        ...destructiveStep(DESTRUCTIVE_PRE_STEP, 'destructiveChanges.xml', '--pre-destructive-changes'),
+        ...steps,
+        ...destructiveStep(DESTRUCTIVE_POST_STEP, 'destructiveChangesPost.xml', '--post-destructive-changes')
+    ];
 };
 
+const formatDeployCommand = ({ options }) => {
+    const formattedOptions = options.map(([flag, ...values]) => [flag, ...values.map(value => flag === '-t' ? `"${value}"` : value)].join(' '));
+    return `sf project deploy validate ${formattedOptions.join(' ')} --target-org`;
+};
+
+// Function to generate deployment commands
+const generateDeployCommands = phase('generateDeployCommands', async (ctx, { deployPackages, production = false }) => {
+    const deployCommandsPath = path.join(ctx.workDir, 'deployCommands.txt');
+
+    const steps = buildDeploySteps(ctx, deployPackages, { production });
+    // O DummyTest só vai para o staging quando algum passo o roda.
+    if (steps.some(usesDummyTest)) {
+        const apiVersion = readApiVersion(ctx.workDir);
+        await writeDummyTest(ctx.stagingFs, path.join(ctx.paths.dummyTestDir, 'classes'), apiVersion);
+        ctx.log('tests.dummyGenerated', { dir: path.relative(ctx.workDir, ctx.paths.dummyTestDir), apiVersion });
+    }
+    const commands = steps.map(step => {
+        const header = step.name.toUpperCase();
+        return `---------------- ${header} ----------------\n${formatDeployCommand(step)}\n---------------- ${header} ----------------`;
+    });
+
+    ctx.stagingFs.writeFileSync(deployCommandsPath, commands.join('\n\n'), 'utf8');
+    ctx.log('commands.written');
+    return steps;
+});
+
 
 // -------------------------------------------------------
 // Pós-Deploy – Reativação
 // -------------------------------------------------------
-const postDeploy = async () => {
-    console.log('Fase 5: Pós-deploy (Reativação)...');
-    const reactivationDir = path.join(DEPLOY_STAGING, 'reactivation');
-    await fs.ensureDir(reactivationDir);
-    const reactivationPackageDir = path.join(reactivationDir, 'force-app', 'main', 'default');
-    await fs.ensureDir(reactivationPackageDir);
-
-    Object.entries(originalStates).forEach(([filePath, state]) => {
-        const fileName = path.basename(filePath);
-        const targetFile = path.join(reactivationPackageDir, filePath);
-        fs.ensureDirSync(path.dirname(targetFile));
-        let reactivationXml = '';
-        if (state.type === 'ValidationRule') {
-            reactivationXml = `<ValidationRule><fullName>${fileName.replace('.validationRule-meta.xml', '')}</fullName><active>true</active></ValidationRule>`;
-        } else if (state.type === 'FlowDefinition') {
-            reactivationXml = `<FlowDefinition><fullName>${fileName.replace('-meta.xml', '')}</fullName><activeVersionNumber>${state.originalValue}</activeVersionNumber></FlowDefinition>`;
-        } else if (state.type === 'Trigger') {
-            reactivationXml = `<Trigger><fullName>${fileName.replace('-meta.xml', '')}</fullName><status>Active</status></Trigger>`;
-        }
-        fs.writeFileSync(targetFile, reactivationXml, 'utf8');
-        console.log(`Reativação criada: ${targetFile}`);
-    });
+// Elemento que guarda o estado de cada tipo desativado pelo --inactivate.
+const REACTIVATION_ELEMENTS = {
+    ApexTrigger: 'status',
+    Flow: 'status',
+    FlowDefinition: 'activeVersionNumber',
+    ValidationRule: 'active'
+};
 
-    try {
-        execSync(`sf project deploy start -d ${reactivationDir} --json`, { stdio: 'inherit' });
-        console.log('Reativação deploy concluído.');
-    } catch (error) {
-        console.error(`Falha no deploy de reativação: ${error.message}`);
-        process.exit(1);
+// Parte do arquivo que subiu (sanitized da execução anterior, sem os elementos que o destino
+// rejeita) e restaura só o elemento de estado gravado, gerando o metadado completo em vez de um XML parcial.
+const buildReactivationXml = (sanitizedFile, { type, originalValue }) => {
+    const xmlObj = parseXml(fs.readFileSync(sanitizedFile, 'utf8'));
+    const rootElem = xmlObj.elements.find(elem => elem.type === 'element');
+    rootElem.attributes = { xmlns: METADATA_NAMESPACE, ...rootElem.attributes };
+    rootElem.elements ??= [];
+    const elementName = REACTIVATION_ELEMENTS[type];
+    const valueElem = findRootChild(xmlObj, elementName);
+    if (valueElem) {
+        valueElem.elements = [{ type: 'text', text: originalValue }];
+    } else {
+        rootElem.elements.push({ type: 'element', name: elementName, elements: [{ type: 'text', text: originalValue }] });
     }
+    return buildXml(xmlObj);
 };
-const wipeDirectories = async () => {
+
+/**
+ * Gera deploy-staging/reactivation a partir do metadata-original-states.json de uma execução
+ * anterior com --inactivate: metadados completos com o estado original + manifest/package.xml.
+ *
+ * @param {object} ctx Contexto (createContext).
+ * @param {string} statesFile metadata-original-states.json; o sanitized/ ao lado dele traz o que subiu.
+ * @returns {Promise<Array<{name: string, options: string[][]}>>} Passo de deploy para o deployRunner.
+ */
+const generateReactivationPackage = phase('reactivate', async (ctx, statesFile) => {
+    const { reactivationDir } = ctx.paths;
+    if (!fs.existsSync(statesFile)) {
+        throw new Error(ctx.t('errors.statesFileMissing', { file: statesFile }));
+    }
+    const states = await fs.readJson(statesFile);
+    const previousSanitizedDir = path.join(path.dirname(statesFile), 'sanitized', 'force-app', 'main', 'default');
+    const reactivationSourceDir = path.join(reactivationDir, 'force-app');
+    const reactivationPackageDir = path.join(reactivationSourceDir, 'main', 'default');
+    await fs.remove(reactivationDir);
+
+    const components = [];
+    for (const [relativePath, state] of Object.entries(states)) {
+        if (!(state.type in REACTIVATION_ELEMENTS)) {
+            ctx.warn('reactivate.unknownType', { type: state.type, path: relativePath });
+            continue;
+        }
+        const sanitizedFile = path.join(previousSanitizedDir, relativePath);
+        if (!fs.existsSync(sanitizedFile)) {
+            throw new Error(ctx.t('errors.originalMissing', { path: relativePath, dir: previousSanitizedDir }));
+        }
+
+        const targetFile = path.join(reactivationPackageDir, relativePath);
+        await fs.outputFile(targetFile, buildReactivationXml(sanitizedFile, state), 'utf8');
+        if (state.type === 'ApexTrigger') {
+            // O meta sozinho não é deployável: a trigger sobe com o corpo.
+            await fs.copy(fileCounterPath(sanitizedFile), fileCounterPath(targetFile));
+        }
+        components.push(resolveComponent(relativePath));
+        ctx.file({ phase: 'reactivate', path: relativePath, decision: 'reactivated', level: 'info', key: 'reactivate.created' });
+    }
+
+    if (components.length === 0) {
+        ctx.log('reactivate.none');
+        return [];
+    }
+    const apiVersion = readApiVersion(ctx.workDir);
+    await fs.outputFile(path.join(reactivationDir, 'manifest', 'package.xml'), buildPackageXml(components, apiVersion), 'utf8');
+    await writeDummyTest(fs, path.join(ctx.paths.dummyTestDir, 'classes'), apiVersion);
+    const step = {
+        name: 'reactivation',
+        options: [['--source-dir', toWorkDirPath(ctx, reactivationSourceDir)], ['--source-dir', toWorkDirPath(ctx, ctx.paths.dummyTestDir)], ['-l', 'RunSpecifiedTests'], ['-t', DUMMY_TEST]]
+    };
+    ctx.log('reactivate.package', { dir: reactivationDir, command: formatDeployCommand(step) });
+    return [step];
+});
+
+// -------------------------------------------------------
+// Pós-Deploy – Remoção do injectHack
+// -------------------------------------------------------
+/**
+ * Gera deploy-staging/removeHack (formato Metadata API) a partir do coverage-hack-manifest.json das
+ * execuções com --injectHack: as classes com o corpo original (guardado no manifesto) e um
+ * destructiveChanges.xml com as tXPTO, removidas antes para não quebrarem a compilação.
+ * Roda os testes que o listTests selecionou para as classes restauradas; sem nenhum, o DummyTest.
+ *
+ * @param {object} ctx Contexto (createContext).
+ * @param {string} manifestFile coverage-hack-manifest.json das execuções anteriores.
+ * @returns {Promise<Array<{name: string, options: string[][]}>>} Passo de deploy para o deployRunner.
+ */
+const generateRemoveHackPackage = phase('removeHack', async (ctx, manifestFile) => {
+    const { removeHackDir } = ctx.paths;
+    if (!fs.existsSync(manifestFile)) {
+        throw new Error(ctx.t('errors.hackManifestMissing', { file: manifestFile }));
+    }
+    const injectedClasses = await fs.readJson(manifestFile);
+    // Manifestos antigos não têm o corpo original: ele vem do news/ ao lado do manifesto.
+    const previousNewsDir = path.join(path.dirname(manifestFile), 'news', 'force-app', 'main', 'default');
+    await fs.remove(removeHackDir);
+
+    for (const { path: relativePath, original, originalMeta } of injectedClasses) {
+        const classFile = path.join(removeHackDir, 'classes', path.basename(relativePath));
+        if (original !== undefined) {
+            await fs.outputFile(classFile, original, 'utf8');
+            await fs.outputFile(fileCounterPath(classFile), originalMeta, 'utf8');
+        } else {
+            const originalFile = path.join(previousNewsDir, relativePath);
+            if (!fs.existsSync(originalFile)) {
+                throw new Error(ctx.t('errors.originalMissing', { path: relativePath, dir: previousNewsDir }));
+            }
+            await fs.copy(originalFile, classFile);
+            await fs.copy(fileCounterPath(originalFile), fileCounterPath(classFile));
+        }
+        ctx.file({ phase: 'removeHack', path: relativePath, decision: 'restored', level: 'info', key: 'removeHack.restored' });
+    }
+
+    const selected = [...new Set(injectedClasses.flatMap(({ tests = [] }) => tests))];
+    const tests = selected.length > 0 ? selected : [DUMMY_TEST];
+    const apiVersion = readApiVersion(ctx.workDir);
+    // O DummyTest sobe junto quando nenhuma classe tem teste selecionado.
+    selected.length === 0 && await writeDummyTest(fs, path.join(removeHackDir, 'classes'), apiVersion);
+
+    const components = [...injectedClasses.map(({ className }) => className), ...(selected.length > 0 ? [] : [DUMMY_TEST])].map(member => ({ type: 'ApexClass', member }));
+    const pre = [...new Set(injectedClasses.map(({ testClass }) => testClass))].map(member => ({ type: 'ApexClass', member }));
+    await writeDestructivePackage(removeHackDir, { pre, components }, apiVersion);
+
+    const step = { name: 'removeHack', options: [['--metadata-dir', toWorkDirPath(ctx, removeHackDir)], ['-l', 'RunSpecifiedTests'], ['-t', ...tests]] };
+    ctx.log('removeHack.package', { dir: removeHackDir, count: injectedClasses.length, command: formatDeployCommand(step) });
+    return [step];
+});
+
+const wipeDirectories = async (ctx) => {
     try {
         await Promise.all([
-            fs.remove(DEPLOY_STAGING)
+            ctx.stagingFs.remove(ctx.paths.deployStaging)
         ]);
-        console.log('Diretórios limpos: news, sanitized, packages');
+        ctx.log('staging.wiped');
     } catch (err) {
-        console.error('Erro ao limpar diretórios:', err);
-        process.exit(1);
+        throw new Error(ctx.t('errors.wipeFailed', { error: err.message }));
     }
 };
 
-const ensureSfdxProjectJson = async () => {
-    const sfdxProjectPath = path.join(process.cwd(), 'sfdx-project.json');
+const ensureSfdxProjectJson = async (ctx) => {
+    const sfdxProjectPath = path.join(ctx.workDir, 'sfdx-project.json');
     if (!fs.existsSync(sfdxProjectPath)) {
         const sfdxProjectContent = {
             packageDirectories: [
@@ -648,79 +1210,378 @@ const ensureSfdxProjectJson = async () => {
             sfdcLoginUrl: "https://login.salesforce.com",
             sourceApiVersion: "62.0"
         };
-        await fs.writeJson(sfdxProjectPath, sfdxProjectContent, { spaces: 2 });
-        console.log('sfdx-project.json created.');
+        await ctx.stagingFs.writeJson(sfdxProjectPath, sfdxProjectContent, { spaces: 2 });
+        ctx.log('sfdx.created');
     } else {
-        console.log('Skipping sfdx-project.json creation...');
+        ctx.log('sfdx.skipped');
     }
 };
 
 /**
- * RATIONALE: This new function generates the changes.diff file. It is called
- * at the end of the main process to ensure it has the complete list of
- * changed files collected during the identifyNewMetadata phase.
+ * RATIONALE: This function generates the change report at the end of the pipeline,
+ * once identifyNewMetadata, identifyDeletedMetadata, sanitizeMetadata
+ * and the packages have all run:
+ * - changes.diff: unified diff (target -> source) for every new, modified and deleted file;
+ * - changes.json: one entry per file with status, metadata type, packages, XML
+ *   differences and sanitization actions;
+ * - changes.md: the same entries grouped by package and metadata type for release reviews.
  */
-const generateChangesDiff = async () => {
-    const diffFilePath = path.join(process.cwd(), 'changes.diff');
+const generateChangesDiff = phase('generateChangesDiff', async (ctx, { source, target, changes = [], deployPackages }) => {
+    const { stagingFs, workDir } = ctx;
+    const packagesOf = relativePath => deployPackages
+        .map(({ name }) => name)
+        .filter(pkgName => stagingFs.existsSync(path.join(ctx.paths.packagesDir, pkgName, 'force-app', 'main', 'default', relativePath)));
+
     // Sort the files for a consistent output order
-    const sortedFiles = changedFiles.sort();
-    await fs.writeFile(diffFilePath, sortedFiles.join('\n'), 'utf8');
-    console.log(`\nGenerated diff file with ${sortedFiles.length} new/modified files at: ${diffFilePath}`);
+    const entries = [
+        ...ctx.changedFiles.map(file => ({ path: file, status: target.exists(file) ? 'modified' : 'new' })),
+        ...ctx.deletedFiles.map(file => ({ path: file, status: 'deleted' }))
+    ].sort((a, b) => a.path.localeCompare(b.path)).map(entry => {
+        const component = resolveComponent(entry.path);
+        // Modo git: o arquivo novo de um rename aponta para o caminho antigo (que sai no destrutivo).
+        const renamedFrom = changes.find(change => change.status === 'renamed' && change.path === entry.path)?.oldPath;
+        return {
+            ...entry,
+            ...(renamedFrom && { renamedFrom }),
+            type: component?.type ?? null,
+            member: component?.member ?? null,
+            packages: entry.status === 'deleted' ? [PRE_DESTRUCTIVE_TYPES.has(component?.type) ? DESTRUCTIVE_PRE_STEP : DESTRUCTIVE_POST_STEP] : packagesOf(entry.path),
+            differences: ctx.fileDifferences[entry.path] ?? [],
+            sanitization: ctx.sanitizationActions[entry.path] ?? [],
+            ...(ctx.failures.some(failure => failure.path === entry.path) && {
+                errors: ctx.failures.filter(failure => failure.path === entry.path).map(({ phase: phaseName, message }) => `${phaseName}: ${message}`)
+            }),
+            ...(ctx.dependencyReasons[entry.path] && { includedBy: ctx.dependencyReasons[entry.path] })
+        };
+    });
+
+    const summary = { new: 0, modified: 0, deleted: 0 };
+    entries.forEach(({ status }) => summary[status]++);
+    const report = { generatedAt: new Date().toISOString(), summary, packageOrder: [DESTRUCTIVE_PRE_STEP, ...deployPackages.map(({ name }) => name), DESTRUCTIVE_POST_STEP], entries };
+
+    const diffFilePath = path.join(workDir, 'changes.diff');
+    const readIfExists = (tree, relativePath) => tree.exists(relativePath) ? tree.readFile(relativePath) : null;
+    const diffs = entries.map(entry => fileDiff(entry, readIfExists(source, entry.path), readIfExists(target, entry.path)));
+    await Promise.all([
+        stagingFs.writeFile(diffFilePath, diffs.filter(Boolean).join(''), 'utf8'),
+        stagingFs.writeJson(path.join(workDir, 'changes.json'), report, { spaces: 2 }),
+        stagingFs.writeFile(path.join(workDir, 'changes.md'), renderMarkdown(report, ctx.locale), 'utf8')
+    ]);
+    ctx.log('report.generated', { ...summary, file: diffFilePath });
+    return report;
+});
+
+// -------------------------------------------------------
+// --dryRun: Plano de Execução
+// -------------------------------------------------------
+/**
+ * Monta o plano do --dryRun com o que o pipeline produziu em memória: cada arquivo (status,
+ * sanitizações aplicadas e pacotes onde cai), os componentes de cada pacote, o destrutivo,
+ * os testes selecionados, os comandos de deploy e os arquivos que seriam gravados.
+ */
+const buildDryRunPlan = (ctx, { deployPackages, report, sanitizationSummary, packages, orphans, destructive, selection, deploySteps }) => ({
+    generatedAt: report.generatedAt,
+    summary: report.summary,
+    files: report.entries,
+    sanitizationRules: sanitizationSummary,
+    packages: deployPackages.map(({ name, wave, testLevel }) => ({ name, ...(wave && { wave }), testLevel, components: [...new Set((packages[name] ?? []).map(componentKey))].sort() })),
+    destructive: { pre: destructive.pre.map(componentKey).sort(), post: destructive.post.map(componentKey).sort() },
+    orphans: orphans.map(({ path: orphanPath }) => orphanPath),
+    tests: selection,
+    deployCommands: deploySteps.map(formatDeployCommand),
+    stagedFiles: ctx.stagingFs.snapshot().map(({ path: stagedPath, size }) => ({ path: path.relative(ctx.workDir, stagedPath), size }))
+});
+
+// -------------------------------------------------------
+// API Programática
+// -------------------------------------------------------
+// Origem/destino: árvores prontas (source/target[/changes]), dois diretórios ou dois commits de um repositório.
+// Os diretórios usam o índice de hashes em indexDir (hashIndex.js).
+const resolveTrees = async (ctx, { source, target, changes, sourcePath, targetPath, repo, from, to, metadataRoot = 'force-app/main/default', indexDir = '.deploy-index' }) => {
+    if (source && target) return { source, target, changes };
+    if (repo) {
+        if (!from || !to) throw new Error(ctx.t('errors.gitRefsMissing'));
+        const gitSource = createGitTree({ repo, ref: to, root: metadataRoot, locale: ctx.locale });
+        const gitTarget = createGitTree({ repo, ref: from, root: metadataRoot, locale: ctx.locale });
+        const gitChanges = listGitChanges({ repo, from, to, root: metadataRoot, locale: ctx.locale });
+        ctx.log('git.mode', { from: gitTarget.label, to: gitSource.label, count: gitChanges.length });
+        return { source: gitSource, target: gitTarget, changes: gitChanges };
+    }
+    if (!sourcePath || !targetPath) throw new Error(ctx.t('errors.treesMissing'));
+    const indexOptions = { indexDir: path.resolve(ctx.workDir, indexDir), locale: ctx.locale };
+    const [dirSource, dirTarget] = await Promise.all([
+        createIndexedDirectoryTree(path.resolve(ctx.workDir, sourcePath), indexOptions),
+        createIndexedDirectoryTree(path.resolve(ctx.workDir, targetPath), indexOptions)
+    ]);
+    return { source: dirSource, target: dirTarget };
+};
+
+// Grava os índices para a próxima execução (exceto no --dryRun, que não escreve em disco).
+const saveTreeIndexes = async (ctx, trees) => {
+    for (const tree of trees.filter(({ saveIndex }) => saveIndex)) {
+        ctx.dryRun || await tree.saveIndex();
+        const { files, reused, computed } = tree.indexStats();
+        ctx.log('index.stats', { label: tree.label, files, reused, computed });
+    }
+};
+
+// Sem sanitizationRules.json no workDir, vale o conjunto padrão que acompanha o script.
+const resolveSanitizationRulesFile = (workDir, rulesFile) => {
+    if (rulesFile) return path.resolve(workDir, rulesFile);
+    const workDirRulesFile = path.join(workDir, 'sanitizationRules.json');
+    return fs.existsSync(workDirRulesFile) ? workDirRulesFile : path.join(__dirname, 'sanitizationRules.json');
+};
+
+/**
+ * Cria um deployer: um EventEmitter (eventos no topo do arquivo) com o pipeline completo em run()
+ * e os subcomandos de pós-deploy. Nada aqui imprime nem encerra o processo; erros são lançados.
+ *
+ * @param {object} [options]
+ * @param {string} [options.workDir=process.cwd()] Onde ficam exceptionPath.json, deployPlan.json e as saídas.
+ * @param {string} [options.sourcePath] Diretório de origem (force-app/main/default).
+ * @param {string} [options.targetPath] Diretório de destino.
+ * @param {string} [options.repo] Repositório git; com from (destino) e to (origem) substitui os diretórios.
+ * @param {string} [options.from]
+ * @param {string} [options.to]
+ * @param {string} [options.metadataRoot='force-app/main/default']
+ * @param {string} [options.indexDir='.deploy-index'] Índices de hashes dos diretórios, reaproveitados entre execuções.
+ * @param {object} [options.source] Árvore pronta (metadataTree.js), com target e, opcionalmente, changes.
+ * @param {object} [options.target]
+ * @param {Array<object>} [options.changes]
+ * @param {boolean} [options.injectHack=false]
+ * @param {boolean} [options.inactivate=false]
+ * @param {boolean} [options.strictPackaging=false]
+ * @param {boolean} [options.production=false] Destino é produção: recusa NoTestRun em pacotes com Apex.
+ * @param {object} [options.packageLimits] Limites por pacote (packageSplitter.PACKAGE_LIMITS: maxFiles,
+ *        maxZippedBytes, maxUnzippedBytes); ondas maiores viram sub-pacotes.
+ * @param {boolean} [options.dryRun=false] Staging em memória; run() devolve também o plano.
+ * @param {boolean} [options.failFast=false] Interrompe no primeiro arquivo com erro, em vez de coletar os erros.
+ * @param {string} [options.lang='pt-BR'] Idioma das mensagens (pt-BR ou en).
+ * @param {string} [options.deployPlan] deployPlan.json (padrão: o do workDir).
+ * @param {string} [options.sanitizationRules] sanitizationRules.json (padrão: o do workDir ou o que acompanha o script).
+ * @param {string} [options.exceptionPath] exceptionPath.json (padrão: o do workDir).
+ */
+const createDeployer = (options = {}) => {
+    const emitter = new EventEmitter();
+    const workDir = path.resolve(options.workDir ?? process.cwd());
+    const context = createContext({ workDir, dryRun: options.dryRun, failFast: options.failFast, locale: options.lang, emitter });
+    const deployRunnerOptions = sfPath => ({ sfPath, cwd: workDir, logger: { log: context.log, error: context.error }, locale: context.locale });
+
+    /**
+     * Roda o pipeline inteiro (fases 1 a 4, comandos e relatório de mudanças).
+     *
+     * @returns {Promise<{report: object, packages: object, orphans: object[], destructive: object, selection: object, deploySteps: object[], sanitizationSummary: object, permissionDrops: object[], exceptions: {expired: string[], unmatched: string[]}, failures: object[], plan?: object}>}
+     *          failures: arquivos que falharam (fase, caminho, mensagem) e ficaram fora dos pacotes.
+     */
+    const run = async () => {
+        Object.assign(context, createRunState(), { stagingFs: createStagingFs({ dryRun: options.dryRun }) });
+        const describe = entry => describeException(entry, context.locale);
+        const exceptionMap = loadExceptionPaths(path.resolve(workDir, options.exceptionPath ?? 'exceptionPath.json'), context.locale);
+        const expired = expiredExceptions(exceptionMap);
+        expired.length > 0 && context.warn('exceptions.expired', { entries: expired.map(describe) });
+        let deployPlan;
+        try {
+            deployPlan = loadDeployPlan(path.resolve(workDir, options.deployPlan ?? 'deployPlan.json'), context.locale);
+        } catch (e) {
+            throw new Error(context.t('errors.deployPlanLoad', { error: e.message }));
+        }
+        let sanitizationRules;
+        try {
+            sanitizationRules = loadSanitizationRules(resolveSanitizationRulesFile(workDir, options.sanitizationRules), context.locale);
+        } catch (e) {
+            throw new Error(context.t('errors.sanitizationRulesLoad', { error: e.message }));
+        }
+        const { source, target, changes } = await resolveTrees(context, options);
+
+        await ensureSfdxProjectJson(context);
+        options.dryRun || await wipeDirectories(context);
+        await identifyNewMetadata(context, { source, target, changes, exceptionMap });
+        await saveTreeIndexes(context, [source, target]);
+        const destructive = await identifyDeletedMetadata(context, { source, target, exceptionMap });
+        await resolveDependencies(context, { source, target, exceptionMap });
+        const sanitizationSummary = await sanitizeMetadata(context, { exceptionMap, injectHack: options.injectHack, inactivate: options.inactivate, sanitizationRules });
+        const permissionDrops = await filterPermissionFiles(context, { target, deployPlan });
+        await excludeFailedFiles(context);
+        const { packages, orphans, deployPackages } = await generateDeployPackages(context, { deployPlan, strictPackaging: options.strictPackaging, packageLimits: options.packageLimits });
+        const selection = await selectTests(context, { source, target, deployPackages, exceptionMap });
+        const deploySteps = await generateDeployCommands(context, { deployPackages, production: options.production });
+        const report = await generateChangesDiff(context, { source, target, changes, deployPackages });
+
+        // No modo git só os arquivos alterados passam pelas exceções, então sobram mais itens sem correspondência.
+        const unmatched = unmatchedExceptions(exceptionMap);
+        unmatched.length > 0 && context.warn('exceptions.unmatched', { entries: unmatched.map(describe) });
+
+        const exceptions = { expired: expired.map(describe), unmatched: unmatched.map(describe) };
+        await reportFailures(context);
+        const result = { report, packages, orphans, destructive, selection, deploySteps, sanitizationSummary, permissionDrops, exceptions, failures: context.failures };
+        return options.dryRun ? { ...result, plan: buildDryRunPlan(context, { deployPackages, ...result }) } : result;
+    };
+
+    return Object.assign(emitter, {
+        context,
+        run,
+        // Executa os passos de run() (ou de reactivate/removeHack) no sf, gravando o progresso para o resume.
+        deploy: (steps, { mode = 'validate', targetOrg, sfPath = 'sf', stateFile = context.paths.deployStateFile }) =>
+            runDeployWaves({ ...deployRunnerOptions(sfPath), steps, mode, targetOrg, stateFile }),
+        resume: ({ sfPath = 'sf', stateFile = context.paths.deployStateFile } = {}) =>
+            runDeployWaves({ ...deployRunnerOptions(sfPath), stateFile, resume: true }),
+        reactivate: ({ statesFile = context.paths.metadataStatesFile } = {}) => generateReactivationPackage(context, statesFile),
+        removeHack: ({ hackManifest = context.paths.coverageHackManifestFile } = {}) => generateRemoveHackPackage(context, hackManifest)
+    });
 };
 
 // -------------------------------------------------------
 // Função Principal
 // -------------------------------------------------------
+const printUsage = () => {
+    console.error('Uso: node deploy-metadata.js --sourcePath=<origem> --targetPath=<destino> [--debug] [--injectHack] [--deployPlan=<deployPlan.json>] [--strictPackaging] [--production] [--inactivate] [--sanitizationRules=<sanitizationRules.json>] [--indexDir=<.deploy-index>] [--failFast] [--logLevel=error|warn|info|debug|trace] [--logFile=<run.jsonl>] [--lang=pt-BR|en] [--deploy=<alias> | --validate=<alias>] [--sfPath=<sf>]');
+    console.error('      node deploy-metadata.js --repo=<repositório> --from=<ref destino> --to=<ref origem> [--metadataRoot=force-app/main/default] [mesmas opções]');
+    console.error('      node deploy-metadata.js --sourcePath=<origem> --targetPath=<destino> --dryRun [--planFile=<plan.json>] [--injectHack] [--inactivate] [--deployPlan=<deployPlan.json>]');
+    console.error('      node deploy-metadata.js --resume [--sfPath=<sf>]');
+    console.error('      node deploy-metadata.js --removeHack [--hackManifest=<coverage-hack-manifest.json>] [--deploy=<alias> | --validate=<alias>] [--sfPath=<sf>]');
+    console.error('      node deploy-metadata.js reactivate [--statesFile=<metadata-original-states.json>] [--deploy=<alias> | --validate=<alias>] [--sfPath=<sf>]');
+    console.error('Exemplo: node deploy-metadata.js --sourcePath=/path/to/source --targetPath=/path/to/target');
+};
+
+// A CLI só traduz os argumentos para o createDeployer e imprime os eventos.
 const main = async () => {
     const { parseArgs } = require('node:util');
-    const { values: args } = parseArgs({
+    const { values: args, positionals } = parseArgs({
+        allowPositionals: true,
         options: {
             sourcePath: { type: 'string', short: 's' },
             targetPath: { type: 'string', short: 't' },
             debug: { type: 'boolean', short: 'd' },
-            injectHack: { type: 'boolean', short: 'i' }
+            injectHack: { type: 'boolean', short: 'i' },
+            deployPlan: { type: 'string' },
+            strictPackaging: { type: 'boolean' },
+            production: { type: 'boolean' },
+            deploy: { type: 'string' },
+            validate: { type: 'string' },
+            resume: { type: 'boolean' },
+            sfPath: { type: 'string' },
+            inactivate: { type: 'boolean' },
+            statesFile: { type: 'string' },
+            removeHack: { type: 'boolean' },
+            hackManifest: { type: 'string' },
+            dryRun: { type: 'boolean' },
+            failFast: { type: 'boolean' },
+            planFile: { type: 'string' },
+            sanitizationRules: { type: 'string' },
+            repo: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            metadataRoot: { type: 'string' },
+            indexDir: { type: 'string' },
+            logLevel: { type: 'string' },
+            logFile: { type: 'string' },
+            lang: { type: 'string' }
         }
     });
 
-    const sourcePath = args.sourcePath;
-    const targetPath = args.targetPath;
-    const debug = args.debug;
-    const injectHackFlag = args.injectHack;
-
-    if (!sourcePath || !targetPath) {
-        console.error('Uso: node deploy-metadata.js --sourcePath=<origem> --targetPath=<destino> [--debug] [--injectHack]');
-        console.error('Exemplo: node deploy-metadata.js --sourcePath=/path/to/source --targetPath=/path/to/target');
+    const sfPath = args.sfPath ?? 'sf';
+    const targetOrg = args.deploy ?? args.validate;
+    const mode = args.deploy ? 'deploy' : 'validate';
+    // --debug é atalho para --logLevel=debug; o --logFile recebe todos os níveis.
+    if (args.lang && !LOCALES.includes(args.lang)) {
+        console.error(formatMessage(DEFAULT_LOCALE, 'cli.invalidLang', { lang: args.lang, allowed: LOCALES }));
         process.exit(1);
     }
-    const EXCEPTION_PATH_FILE = path.join(process.cwd(), 'exceptionPath.json');
-    const exceptionMap = loadExceptionPaths(EXCEPTION_PATH_FILE);
+    let logger;
     try {
-        ensureSfdxProjectJson();
-        await wipeDirectories();
-        await identifyNewMetadata({ sourcePath, targetPath, debug, exceptionMap });
-        await sanitizeMetadata(exceptionMap, injectHackFlag);
-        await generateDeployPackages();
-        const { processApexFiles } = require('./listTests');
-        const package3Dir = path.join(PACKAGES_DIR, 'package3', 'force-app', 'main', 'default', 'classes');
-        const outputFile = path.join(process.cwd(), 'specifiedTests.txt');
-        processApexFiles(package3Dir, outputFile);
-        await generateDeployCommands();
-        await generateChangesDiff(); // RATIONALE: Call the new function here.
-        console.log('Pacotes para deploy gerados com sucesso.');
-        console.log('Versão 2025-04-11 08:17');
+        logger = createLogger({ level: args.logLevel ?? (args.debug ? 'debug' : 'info'), logFile: args.logFile, locale: args.lang });
     } catch (err) {
-        console.error('Erro no processo:', err);
+        console.error(err.message);
         process.exit(1);
     }
+    const deployer = createDeployer({ ...args, workDir: process.cwd() });
+    const { paths, t } = deployer.context;
+    logger.attach(deployer);
+
+    try {
+        // reactivate: pacote de reativação a partir do estado gravado por uma execução com --inactivate.
+        if (positionals[0] === 'reactivate') {
+            const steps = await deployer.reactivate({ statesFile: args.statesFile });
+            if (targetOrg && steps.length > 0) {
+                await deployer.deploy(steps, { mode, targetOrg, sfPath, stateFile: path.join(paths.reactivationDir, 'deploy-state.json') });
+            }
+            return;
+        }
+
+        // --removeHack: desfaz o --injectHack de uma execução anterior.
+        if (args.removeHack) {
+            const steps = await deployer.removeHack({ hackManifest: args.hackManifest });
+            if (targetOrg) {
+                await deployer.deploy(steps, { mode, targetOrg, sfPath, stateFile: path.join(paths.deployStaging, 'removeHack-deploy-state.json') });
+            }
+            return;
+        }
+
+        // --resume só reexecuta as ondas pendentes do deploy-staging existente, sem regerar os pacotes.
+        if (args.resume) {
+            await deployer.resume({ sfPath });
+            return;
+        }
+
+        // Modo git: origem e destino são dois commits do mesmo repositório (--to é a origem, --from o destino).
+        const hasTrees = args.repo ? Boolean(args.from && args.to && !args.sourcePath && !args.targetPath) : Boolean(args.sourcePath && args.targetPath);
+        if (!hasTrees || (args.deploy && args.validate) || (args.dryRun && targetOrg)) {
+            printUsage();
+            process.exit(1);
+        }
+
+        // --dryRun: o pipeline inteiro roda com o staging em memória; só o --planFile vai para o disco.
+        // Sem --failFast os erros por arquivo são coletados: os pacotes saem sem eles, mas nada vai
+        // para a org e o código de saída é 1.
+        const { plan, deploySteps, failures } = await deployer.run();
+        if (args.dryRun) {
+            console.log(`\n${renderPlan(plan, deployer.context.locale)}`);
+            if (args.planFile) {
+                await fs.writeJson(args.planFile, plan, { spaces: 2 });
+                console.log(t('cli.planSaved', { file: args.planFile }));
+            }
+            process.exitCode = failures.length > 0 ? 1 : 0;
+            return;
+        }
+        if (failures.length > 0) {
+            console.error(t('cli.failuresBlockDeploy', { count: failures.length }));
+            process.exitCode = 1;
+            return;
+        }
+        console.log(t('cli.packagesReady'));
+
+        if (targetOrg) {
+            await deployer.deploy(deploySteps, { mode, targetOrg, sfPath });
+        }
+    } catch (err) {
+        deployer.context.error('cli.fatal', { error: err.message });
+        process.exitCode = 1;
+    } finally {
+        logger.close();
+    }
 };
 
-main();
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createDeployer,
+    createContext,
+    identifyNewMetadata,
+    identifyDeletedMetadata,
+    resolveDependencies,
+    filterPermissionFiles,
+    sanitizeMetadata,
+    generateDeployPackages,
+    selectTests,
+    generateDeployCommands,
+    generateChangesDiff,
+    generateReactivationPackage,
+    generateRemoveHackPackage,
+    buildDryRunPlan
+};
 
 //script usage: node draft.js --sourcePath=/path/to/hml/force-app/main/default --targetPath=./path/to/miniprod/force-app/main/default
-//deve ser testado os métodos:
-//await identifyNewMetadata(sourcePath, targetPath);
-//await sanitizeMetadata();
-//await generateDeployPackages();
-//to-do
-//must fix removal of resumeBilling and SuspendBilling of objects on news copy
-//must remove listviews with filterScope Mine on news copy
\ No newline at end of file
+//git usage:    node draft.js --repo=. --from=miniprod --to=hml
+//library:      require('./draft').createDeployer({ sourcePath, targetPath }).run()
\ No newline at end of file
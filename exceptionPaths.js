@@ -0,0 +1,272 @@
+/**
+ * exceptionPaths.js
+ *
+ * Lê o exceptionPath.json (validado pelo exceptionPath.schema.json) e decide quais arquivos
+ * ficam de fora do deploy e quais testes sempre rodam.
+ *
+ * Cada chave é uma pasta da raiz dos metadados (classes, objects...) ou "*" para todas. Em
+ * ignoredPaths, includePaths e includeTests cada item é um texto ou { path, reason, expires }:
+ *   "Foo.cls"                 nome relativo à pasta (sem diferenciar maiúsculas);
+ *   "Foo*Test.cls"            glob relativo à pasta (na chave "*", relativo à raiz: "objects/**");
+ *   "/^objects\/AgentWork\//"  regex sobre o caminho completo (objects/AgentWork/...).
+ * includePaths é uma allowlist: se a pasta (ou "*") tiver uma, o que não casar fica de fora.
+ *
+ * Cada item guarda a linha do arquivo e quantas vezes casou, para avisar das exceções vencidas
+ * (expires) e das que não casaram com nada na execução.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+const SCHEMA_FILE = path.join(__dirname, 'exceptionPath.schema.json');
+const ENTRY_LISTS = ['ignoredPaths', 'includePaths', 'includeTests'];
+const ALL_FOLDERS = '*';
+
+// Linha de cada valor do JSON, por JSON pointer (/classes/ignoredPaths/3). O texto já passou pelo JSON.parse.
+const locateJsonValues = (text) => {
+    const lines = new Map();
+    let pos = 0;
+    let line = 1;
+    const skipWhitespace = () => {
+        while (/\s/.test(text[pos] ?? '')) {
+            if (text[pos] === '\n') line++;
+            pos++;
+        }
+    };
+    const readString = () => {
+        const start = pos++;
+        while (text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+        pos++;
+        return JSON.parse(text.slice(start, pos));
+    };
+    const readValue = (pointer) => {
+        skipWhitespace();
+        lines.set(pointer, line);
+        const char = text[pos];
+        if (char === '{' || char === '[') {
+            const close = char === '{' ? '}' : ']';
+            let index = 0;
+            pos++;
+            skipWhitespace();
+            if (text[pos] === close) {
+                pos++;
+                return;
+            }
+            do {
+                skipWhitespace();
+                let key = index++;
+                if (char === '{') {
+                    key = readString().replace(/~/g, '~0').replace(/\//g, '~1');
+                    skipWhitespace();
+                    pos++; // ":"
+                }
+                readValue(`${pointer}/${key}`);
+                skipWhitespace();
+            } while (text[pos++] === ',');
+            return;
+        }
+        if (char === '"') {
+            readString();
+            return;
+        }
+        while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+    };
+    readValue('');
+    return lines;
+};
+
+const typeOf = value => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+// Subconjunto do JSON Schema usado pelo exceptionPath.schema.json: $ref, type, properties,
+// additionalProperties, required, items, anyOf, minLength e pattern. Mensagens via t (messages.js).
+const validateSchema = (value, schema, pointer, root, errors, t) => {
+    if (schema.$ref) {
+        const resolved = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+        return validateSchema(value, { ...resolved, ...schema, $ref: undefined }, pointer, root, errors, t);
+    }
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map(option => {
+            const optionErrors = [];
+            validateSchema(value, option, pointer, root, optionErrors, t);
+            return { option: option.$ref ? root.definitions[option.$ref.split('/').pop()] : option, optionErrors };
+        });
+        if (attempts.some(({ optionErrors }) => optionErrors.length === 0)) return errors;
+        // Se só uma forma aceita o tipo do valor, os erros dela dizem mais que a mensagem genérica.
+        const sameType = attempts.filter(({ option }) => option.type === typeOf(value));
+        if (sameType.length === 1) {
+            errors.push(...sameType[0].optionErrors);
+        } else {
+            errors.push({ pointer, message: t('schema.expectedFormat', { description: schema.description }) });
+        }
+        return errors;
+    }
+    if (schema.type && typeOf(value) !== schema.type) {
+        errors.push({ pointer, message: t('schema.expectedType', { expected: schema.type, found: typeOf(value) }) });
+        return errors;
+    }
+    if (schema.type === 'string') {
+        if (schema.minLength && value.length < schema.minLength) errors.push({ pointer, message: t('schema.emptyText') });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ pointer, message: t('schema.badFormat', { value, format: schema.description ?? schema.pattern }) });
+    }
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => validateSchema(item, schema.items, `${pointer}/${index}`, root, errors, t));
+    }
+    if (schema.type === 'object') {
+        (schema.required ?? []).filter(key => !(key in value)).forEach(key => errors.push({ pointer, message: t('schema.required', { key }) }));
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+            const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (childSchema === false) {
+                const known = Object.keys(schema.properties ?? {});
+                errors.push({ pointer: childPointer, message: t('schema.unknownField', { key, known }) });
+            } else if (childSchema) {
+                validateSchema(child, childSchema, childPointer, root, errors, t);
+            }
+        }
+    }
+    return errors;
+};
+
+// Posição do erro de sintaxe do JSON.parse ("... at position 123") -> linha.
+const syntaxErrorLine = (text, error) => {
+    const position = error.message.match(/position (\d+)/)?.[1];
+    return position === undefined ? null : text.slice(0, Number(position)).split('\n').length;
+};
+
+const parseRegexLiteral = (pattern) => {
+    const lastSlashIndex = pattern.lastIndexOf('/');
+    return new RegExp(pattern.slice(1, lastSlashIndex), pattern.slice(lastSlashIndex + 1));
+};
+
+const toEntry = (folder, list, item, line) => {
+    const { path: pattern, reason = null, expires = null } = typeof item === 'string' ? { path: item } : item;
+    const entry = { folder, list, pattern, reason, expires, line, hits: 0 };
+    if (pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) return { ...entry, kind: 'regex', regex: parseRegexLiteral(pattern) };
+    if (/[*?]/.test(pattern)) return { ...entry, kind: 'glob', regex: globToRegExp(pattern) };
+    return { ...entry, kind: 'name' };
+};
+
+/**
+ * Lê, valida e compila o exceptionPath.json.
+ *
+ * @param {string} exceptionPathFile Caminho do arquivo.
+ * @param {string} [locale='pt-BR'] Idioma das mensagens de erro (messages.js).
+ * @returns {Object<string, {ignoredPaths: object[], includePaths: object[], includeTests: object[], ignoredElements: string[]}>}
+ *          Regras por pasta ("*" para todas); os itens guardam pattern, reason, expires, line e hits.
+ * @throws {Error} Com todos os problemas encontrados, cada um com a linha do arquivo.
+ */
+const loadExceptionPaths = (exceptionPathFile, locale = DEFAULT_LOCALE) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    if (!fs.existsSync(exceptionPathFile)) {
+        throw new Error(t('errors.fileMissing', { file: exceptionPathFile }));
+    }
+    const text = fs.readFileSync(exceptionPathFile, 'utf8').replace(/^\uFEFF/, '');
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        const line = syntaxErrorLine(text, e);
+        throw new Error(t('exceptions.invalidJson', { file: exceptionPathFile, line, error: e.message }));
+    }
+
+    const lines = locateJsonValues(text);
+    const schema = fs.readJsonSync(SCHEMA_FILE);
+    const errors = validateSchema(json, schema, '', schema, [], t);
+    // O que o schema não cobre: regex que não compila e datas inexistentes (só nos itens bem formados).
+    for (const [folder, rules] of Object.entries(json).filter(([key]) => key !== '$schema')) {
+        for (const list of ENTRY_LISTS) {
+            const items = Array.isArray(rules?.[list]) ? rules[list] : [];
+            items.forEach((item, index) => {
+                const pointer = `/${folder}/${list}/${index}`;
+                const { path: pattern, expires } = typeof item === 'string' ? { path: item } : item ?? {};
+                if (typeof pattern === 'string' && pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
+                    try {
+                        parseRegexLiteral(pattern);
+                    } catch (e) {
+                        errors.push({ pointer, message: t('exceptions.invalidRegex', { error: e.message }) });
+                    }
+                }
+                if (typeof expires === 'string' && Number.isNaN(Date.parse(expires))) {
+                    errors.push({ pointer: `${pointer}/expires`, message: t('exceptions.invalidDate', { value: expires }) });
+                }
+            });
+        }
+    }
+    if (errors.length > 0) {
+        const lineOf = pointer => lines.get(pointer) ?? lines.get(pointer.replace(/\/[^/]*$/, ''));
+        throw new Error(t('exceptions.invalid', {
+            errors: errors.map(({ pointer, message }) => t('exceptions.error', { file: exceptionPathFile, line: lineOf(pointer), pointer: pointer || '/', message }))
+        }));
+    }
+
+    const exceptionMap = {};
+    for (const [folder, rules] of Object.entries(json).filter(([key]) => key !== '$schema')) {
+        exceptionMap[folder] = { ignoredElements: rules.ignoredElements ?? [] };
+        for (const list of ENTRY_LISTS) {
+            exceptionMap[folder][list] = (rules[list] ?? []).map((item, index) => toEntry(folder, list, item, lines.get(`/${folder}/${list}/${index}`)));
+        }
+    }
+    return exceptionMap;
+};
+
+const toPosix = relativePath => relativePath.split(/[\\/]/).join('/');
+
+// Item que casa com o caminho (e conta o acerto), ou null.
+const findMatch = (entries, relativePath) => {
+    const fullPath = toPosix(relativePath);
+    const entry = entries.find(({ folder, kind, pattern, regex }) => {
+        // Nomes e globs são relativos à pasta, exceto na chave "*".
+        const matchingPath = folder === ALL_FOLDERS ? fullPath : fullPath.split('/').slice(1).join('/');
+        if (kind === 'regex') return regex.test(fullPath);
+        if (kind === 'glob') return regex.test(matchingPath);
+        return matchingPath.toLowerCase() === toPosix(path.normalize(pattern)).toLowerCase();
+    });
+    entry && entry.hits++;
+    return entry ?? null;
+};
+
+const rulesFor = (exceptionMap, relativePath) =>
+    [exceptionMap[toPosix(relativePath).split('/')[0]], exceptionMap[ALL_FOLDERS]].filter(Boolean);
+
+/**
+ * Se o arquivo fica de fora do deploy: casou com um ignoredPaths ou não casou com o includePaths
+ * da pasta (ou de "*"). Os ignoredPaths vêm primeiro, para o motivo ser o mais específico.
+ *
+ * @returns {{pattern: string|null, reason: string|null, folder: string}|null} O motivo (pattern null:
+ *          fora do includePaths da pasta "folder"), ou null se o arquivo entra.
+ */
+const isExcluded = (exceptionMap, relativePath) => {
+    const rulesList = rulesFor(exceptionMap, relativePath);
+    for (const rules of rulesList) {
+        const ignored = findMatch(rules.ignoredPaths, relativePath);
+        if (ignored) return ignored;
+    }
+    for (const rules of rulesList) {
+        if (rules.includePaths.length > 0 && !findMatch(rules.includePaths, relativePath)) {
+            return { pattern: null, reason: null, folder: rules.includePaths[0].folder };
+        }
+    }
+    return null;
+};
+
+// Se a classe de teste está no includeTests da pasta (ou de "*").
+const isTestIncluded = (exceptionMap, relativePath) =>
+    rulesFor(exceptionMap, relativePath).some(rules => findMatch(rules.includeTests, relativePath));
+
+const allEntries = exceptionMap => Object.values(exceptionMap).flatMap(rules => ENTRY_LISTS.flatMap(list => rules[list]));
+
+// Itens com expires já passado (a exceção continua valendo, só é sinalizada).
+const expiredExceptions = (exceptionMap, today = new Date()) => {
+    const isoToday = today.toISOString().slice(0, 10);
+    return allEntries(exceptionMap).filter(({ expires }) => expires && expires < isoToday);
+};
+
+// Itens que não casaram com nenhum arquivo nesta execução.
+const unmatchedExceptions = exceptionMap => allEntries(exceptionMap).filter(({ hits }) => hits === 0);
+
+// "classes/ignoredPaths: Foo.cls (linha 12, motivo)" para os avisos, no idioma do catálogo.
+const describeException = ({ folder, list, pattern, line, reason, expires }, locale = DEFAULT_LOCALE) =>
+    formatMessage(locale, 'exceptions.entry', { folder, list, pattern, line, reason, expires });
+
+module.exports = { loadExceptionPaths, isExcluded, isTestIncluded, expiredExceptions, unmatchedExceptions, describeException };
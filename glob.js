@@ -0,0 +1,27 @@
+/**
+ * glob.js
+ *
+ * Globs de caminho relativo usados no sanitizationRules.json e no exceptionPath.json.
+ */
+
+// Glob -> RegExp: "**" atravessa pastas, "*" e "?" não.
+const globToRegExp = (glob) => {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" também casa zero pastas.
+            pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`, 'i');
+};
+
+module.exports = { globToRegExp };
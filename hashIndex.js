@@ -0,0 +1,124 @@
+/**
+ * hashIndex.js
+ *
+ * Índice persistente de um diretório de metadados: caminho -> tamanho, mtime e hash do conteúdo
+ * normalizado. Fica gravado entre execuções (por padrão em <workDir>/.deploy-index), então só os
+ * arquivos com tamanho ou mtime diferentes são lidos de novo; os demais são comparados pelo hash.
+ *
+ * O hash de texto usa o mesmo normalizeContent da comparação (linhas sem espaços nas pontas,
+ * sem linhas vazias); arquivos binários (staticresources, imagens...) usam os bytes crus.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Muda quando o formato ou a normalização mudam: índices antigos são descartados.
+const INDEX_VERSION = 1;
+// Arquivos alterados logo antes de gravar o índice podem mudar de novo sem mudar o mtime
+// (mesmo problema do "racy git"): o hash deles não é guardado.
+const RACY_WINDOW_MS = 2000;
+
+// Mesmo critério do git: byte nulo no começo do arquivo.
+const isBinary = buffer => buffer.subarray(0, 8000).includes(0);
+
+/**
+ * RATIONALE: This function normalizes file content by trimming whitespace
+ * from each line and filtering out empty lines. This provides a more
+ * reliable comparison than the previous full-content normalization,
+ * as it is less sensitive to formatting changes like indentation while
+ * still detecting meaningful structural and content changes, aligning
+ * more closely with the behavior of `git diff -w`.
+ */
+const normalizeContent = (content) => {
+    // Handles both LF and CRLF line endings
+    return content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+};
+
+// "b:" e "t:" separam os dois tipos: um binário nunca é igual a um texto.
+const contentHash = (buffer) => {
+    const binary = isBinary(buffer);
+    const hash = crypto.createHash('sha1').update(binary ? buffer : normalizeContent(buffer.toString('utf8'))).digest('hex');
+    return `${binary ? 'b' : 't'}:${hash}`;
+};
+
+// Percorre o diretório de forma assíncrona; devolve caminho relativo -> stat.
+const walk = async (rootDir, dir = rootDir, stats = new Map()) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    await Promise.all(entries.map(async (entry) => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return walk(rootDir, fullPath, stats);
+        const { size, mtimeMs } = await fs.promises.stat(fullPath);
+        stats.set(path.relative(rootDir, fullPath), { size, mtimeMs });
+    }));
+    return stats;
+};
+
+const readIndexFile = (indexFile, rootDir) => {
+    try {
+        const index = fs.readJsonSync(indexFile);
+        return index.version === INDEX_VERSION && index.root === rootDir ? index.files : {};
+    } catch (e) {
+        return {}; // sem índice (ou corrompido): tudo é recalculado
+    }
+};
+
+/**
+ * Carrega o índice de um diretório e o atualiza com uma varredura assíncrona.
+ *
+ * @param {string} rootDir Diretório indexado.
+ * @param {string} indexFile Arquivo do índice (criado no save).
+ * @returns {Promise<{files: string[], stat: function, hash: function, save: function, stats: function}>}
+ *          files: todos os arquivos; hash(rel): hash do conteúdo, calculado só se o arquivo mudou;
+ *          save(): grava o índice; stats(): quantos hashes foram reaproveitados e calculados.
+ */
+const loadHashIndex = async (rootDir, indexFile) => {
+    const root = path.resolve(rootDir);
+    const previous = readIndexFile(indexFile, root);
+    const current = await walk(root);
+    let reused = 0;
+    let computed = 0;
+
+    const hash = (relativePath) => {
+        const entry = current.get(relativePath);
+        if (!entry) return null;
+        if (entry.hash) return entry.hash;
+        const known = previous[relativePath];
+        if (known?.hash && known.size === entry.size && known.mtimeMs === entry.mtimeMs) {
+            reused++;
+            entry.hash = known.hash;
+        } else {
+            computed++;
+            entry.hash = contentHash(fs.readFileSync(path.join(root, relativePath)));
+        }
+        return entry.hash;
+    };
+
+    const save = async () => {
+        const savedAt = Date.now();
+        const files = {};
+        for (const [relativePath, { size, mtimeMs, hash: fileHash }] of current) {
+            // Mantém os hashes ainda válidos da execução anterior que não foram consultados nesta.
+            const known = previous[relativePath];
+            const keptHash = fileHash ?? (known?.size === size && known.mtimeMs === mtimeMs ? known.hash : undefined);
+            files[relativePath] = savedAt - mtimeMs > RACY_WINDOW_MS && keptHash ? { size, mtimeMs, hash: keptHash } : { size, mtimeMs };
+        }
+        await fs.outputJson(indexFile, { version: INDEX_VERSION, root, savedAt: new Date(savedAt).toISOString(), files });
+    };
+
+    return {
+        files: [...current.keys()].sort(),
+        stat: relativePath => current.get(relativePath) ?? null,
+        hash,
+        save,
+        stats: () => ({ files: current.size, reused, computed })
+    };
+};
+
+// Um arquivo de índice por diretório indexado, identificado pelo caminho absoluto.
+const indexFileFor = (indexDir, rootDir) =>
+    path.join(indexDir, `${crypto.createHash('sha1').update(path.resolve(rootDir)).digest('hex').slice(0, 16)}.json`);
+
+module.exports = { isBinary, normalizeContent, contentHash, loadHashIndex, indexFileFor };
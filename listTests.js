@@ -1,27 +1,114 @@
-const fs = require('fs');
 const path = require('path');
+const { removeComments } = require('./apexClassCoverageHack');
 
-function processApexFiles(directory, outputFile) {
-  const files = fs.readdirSync(directory);
-  const testClasses = [];
+function formatSpecifiedTests(testClasses) {
+  return '-t "' + testClasses.join('" "') + '"';
+}
 
-  files.forEach(file => {
-    if (path.extname(file) === '.cls') {
-      const filePath = path.join(directory, file);
-      let content = fs.readFileSync(filePath, 'utf8');
+/**
+ * Reads every class and trigger of the source tree (see metadataTree.js) as a unit with the
+ * identifiers it mentions. Comments and string literals are ignored; Apex is case-insensitive,
+ * so everything is keyed in lower case.
+ */
+function readApexUnits(source) {
+  const units = new Map();
+  const folders = [['classes', '.cls'], ['triggers', '.trigger']];
+  const apexFiles = source.listFiles().filter(file => folders.some(([folder, extension]) => path.dirname(file) === folder && path.extname(file) === extension));
+  source.prefetch(apexFiles);
 
-      content = content.replace(/\/\/.*|\/\*[\s\S]*?\*\//g, '');
+  folders.forEach(([folder, extension]) => {
+    apexFiles.filter(file => path.dirname(file) === folder && path.extname(file) === extension).forEach(file => {
+      const name = path.basename(file, extension);
+      const content = removeComments(source.readText(file))
+        .replace(/'(?:\\.|[^'\\])*'/g, "''");
+      const identifiers = new Set((content.match(/[A-Za-z_][A-Za-z0-9_]*/g) || []).map(id => id.toLowerCase()));
+      const trigger = extension === '.trigger' && content.match(/\btrigger\s+\w+\s+on\s+(\w+)/i);
 
-      if (/@isTest/i.test(content)) {
-        testClasses.push(file.substring(0, file.length - 4));
-      }
-    }
+      units.set(`${folder}/${name.toLowerCase()}`, {
+        name,
+        kind: folder === 'classes' ? 'class' : 'trigger',
+        isTest: folder === 'classes' && /@isTest/i.test(content),
+        sObject: trigger ? trigger[1].toLowerCase() : null,
+        identifiers
+      });
+    });
   });
+  return units;
+}
+
+// Identifiers a unit reaches through the non-test classes it references, transitively.
+function reachableIdentifiers(unit, units) {
+  const reached = new Set(unit.identifiers);
+  const queue = [...unit.identifiers];
+  while (queue.length > 0) {
+    const referenced = units.get(`classes/${queue.pop()}`);
+    if (!referenced || referenced.isTest) continue;
+    referenced.identifiers.forEach(id => {
+      if (reached.has(id)) return;
+      reached.add(id);
+      queue.push(id);
+    });
+  }
+  return reached;
+}
+
+// A class is exercised when a test names it; a trigger when a test touches its sObject.
+function exercises(identifiers, target) {
+  return identifiers.has(target.kind === 'trigger' ? target.sObject : target.name.toLowerCase());
+}
 
-  fs.writeFileSync(outputFile, '-t "' + testClasses.join('" "') + '"', 'utf8');
+// Greedy set cover: keep picking the test that exercises the most targets still uncovered.
+function pickTests(candidates, targets, coverage) {
+  const picked = [];
+  let uncovered = targets.filter(target => candidates.some(({ identifiers }) => exercises(identifiers, target)));
+  while (uncovered.length > 0) {
+    const best = candidates
+      .map(candidate => ({ candidate, hits: uncovered.filter(target => exercises(candidate.identifiers, target)) }))
+      .sort((a, b) => b.hits.length - a.hits.length || a.candidate.name.localeCompare(b.candidate.name))[0];
+    if (!best || best.hits.length === 0) break;
+    picked.push(best.candidate.name);
+    coverage[best.candidate.name] = (coverage[best.candidate.name] || []).concat(best.hits.map(target => target.name));
+    uncovered = uncovered.filter(target => !best.hits.includes(target));
+  }
+  return picked;
 }
 
-module.exports = { processApexFiles };
+/**
+ * Picks the smallest set of existing test classes that exercise the changed classes and triggers.
+ * Tests that reference a target directly win over tests that only reach it through other classes.
+ *
+ * @param {object} options
+ * @param {object} options.source Full source tree (force-app/main/default), as created by metadataTree.js.
+ * @param {string[]} options.changedClasses Names of the changed classes.
+ * @param {string[]} options.changedTriggers Names of the changed triggers.
+ * @param {function(string): boolean} [options.isAvailable] Whether a test class can run in the target
+ *        org (already there or part of the deploy).
+ * @param {function(string): boolean} [options.isIncluded] includeTests override: always run these tests.
+ * @returns {{tests: string[], coverage: Object<string, string[]>, untested: string[]}}
+ */
+function selectTestsByDependency({ source, changedClasses, changedTriggers, isAvailable = () => true, isIncluded = () => false }) {
+  const units = readApexUnits(source);
+  const testUnits = [...units.values()].filter(unit => unit.isTest);
+  const targets = [
+    ...changedClasses.map(name => units.get(`classes/${name.toLowerCase()}`)),
+    ...changedTriggers.map(name => units.get(`triggers/${name.toLowerCase()}`))
+  ].filter(unit => unit && !unit.isTest);
+
+  const candidates = testUnits.filter(unit => isAvailable(unit.name));
+  const coverage = {};
+  const direct = pickTests(candidates, targets, coverage);
+  const coveredByDirect = new Set(Object.values(coverage).flat());
+  const transitiveCandidates = candidates.map(unit => ({ ...unit, identifiers: reachableIdentifiers(unit, units) }));
+  const transitive = pickTests(transitiveCandidates, targets.filter(target => !coveredByDirect.has(target.name)), coverage);
+
+  const included = testUnits.filter(unit => isIncluded(unit.name)).map(unit => unit.name);
+  const covered = new Set(Object.values(coverage).flat());
+
+  return {
+    tests: [...new Set([...direct, ...transitive, ...included])].sort(),
+    coverage,
+    untested: targets.filter(target => !covered.has(target.name)).map(target => target.name).sort()
+  };
+}
 
-// Example usage
-//processApexFiles('./deploy-staging/packages/package3/force-app/main/default/classes', './specifiedTests.txt');
\ No newline at end of file
+module.exports = { selectTestsByDependency, formatSpecifiedTests };
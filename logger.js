@@ -0,0 +1,80 @@
+/**
+ * logger.js
+ *
+ * Saída dos eventos do pipeline (ver draft.js): imprime no console o que estiver no nível
+ * escolhido e, com --logFile, grava todos os eventos (de qualquer nível) em JSON Lines, um por
+ * linha, para o CI arquivar e consultar:
+ *   {"time":"...","event":"file","level":"debug","phase":"identifyNewMetadata","path":"classes/A.cls","decision":"new","key":"identify.new","message":"Novo: classes/A.cls"}
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const EVENTS = ['phase:start', 'phase:end', 'file', 'warning', 'log'];
+
+// Nível padrão de cada evento, quando ele não traz um.
+const levelOf = (eventName, event) => event.level ?? (eventName === 'warning' ? 'warn' : 'info');
+
+/**
+ * Logger que escuta um emitter do pipeline (createDeployer).
+ *
+ * @param {object} [options]
+ * @param {string} [options.level='info'] Nível mínimo impresso no console (error, warn, info, debug, trace).
+ * @param {string} [options.logFile] Arquivo .jsonl; recriado a cada execução.
+ * @param {string} [options.locale] Idioma das tabelas de resumo e do erro de nível (o das mensagens vem do evento).
+ * @param {Console} [options.output=console]
+ * @returns {{attach: function(EventEmitter): void, close: function(): void}}
+ * @throws {Error} Se o nível for desconhecido.
+ */
+const createLogger = ({ level = 'info', logFile, locale = DEFAULT_LOCALE, output = console } = {}) => {
+    if (!LEVELS.includes(level)) {
+        throw new Error(formatMessage(locale, 'logger.invalidLevel', { level, allowed: LEVELS }));
+    }
+    const enabled = eventLevel => LEVELS.indexOf(eventLevel) <= LEVELS.indexOf(level);
+    let fd = null;
+    if (logFile) {
+        fs.ensureDirSync(path.dirname(path.resolve(logFile)));
+        fd = fs.openSync(logFile, 'w');
+    }
+
+    const print = (eventLevel, message) => {
+        if (!enabled(eventLevel)) return;
+        if (eventLevel === 'error') output.error(message);
+        else if (eventLevel === 'warn') output.warn(message);
+        else output.log(message);
+    };
+
+    // Tabela de decisões da fase (novo, alterado, ignorado...) ao fim de cada uma.
+    const printSummary = ({ phase, durationMs, decisions = {} }) => {
+        const entries = Object.entries(decisions);
+        if (entries.length === 0) return;
+        const width = Math.max(...entries.map(([decision]) => decision.length));
+        print('info', formatMessage(locale, 'phase.summary', { phase, seconds: (durationMs / 1000).toFixed(1) }));
+        entries.forEach(([decision, count]) => print('info', formatMessage(locale, 'phase.summaryRow', { decision: decision.padEnd(width), count })));
+    };
+
+    const handle = (eventName, event) => {
+        const eventLevel = levelOf(eventName, event);
+        fd !== null && fs.writeSync(fd, `${JSON.stringify({ time: new Date().toISOString(), event: eventName, ...event, level: eventLevel })}\n`);
+        if (eventName === 'phase:start') print('info', event.title);
+        else if (eventName === 'phase:end') printSummary(event);
+        else print(eventLevel, event.message);
+    };
+
+    return {
+        attach: emitter => EVENTS.forEach(eventName => emitter.on(eventName, event => handle(eventName, event))),
+        close: () => {
+            fd !== null && fs.closeSync(fd);
+            fd = null;
+        }
+    };
+};
+
+// Logger simples para quem chama os módulos fora do pipeline (deployRunner, injectHack): { log, error } por chave.
+const consoleLogger = (locale = DEFAULT_LOCALE) => ({
+    log: (key, params) => console.log(formatMessage(locale, key, params)),
+    error: (key, params) => console.error(formatMessage(locale, key, params))
+});
+
+module.exports = { LEVELS, createLogger, consoleLogger };
@@ -0,0 +1,75 @@
+/**
+ * manifest.js
+ *
+ * Geração de package.xml e destructiveChanges*.xml a partir de listas de componentes
+ * ({ type, member }) resolvidos por metadataTypes.js.
+ */
+const fs = require('fs-extra');
+const convert = require('xml-js');
+const path = require('path');
+const { componentKey } = require('./metadataTypes');
+
+const METADATA_NAMESPACE = 'http://soap.sforce.com/2006/04/metadata';
+const DEFAULT_API_VERSION = '62.0';
+
+const textElement = (name, text) => ({ type: 'element', name, elements: [{ type: 'text', text }] });
+
+// Lê o sourceApiVersion do sfdx-project.json; usa o padrão do ensureSfdxProjectJson se ausente.
+const readApiVersion = (projectDir = process.cwd()) => {
+    const sfdxProjectPath = path.join(projectDir, 'sfdx-project.json');
+    if (!fs.existsSync(sfdxProjectPath)) return DEFAULT_API_VERSION;
+    return fs.readJsonSync(sfdxProjectPath).sourceApiVersion ?? DEFAULT_API_VERSION;
+};
+
+// Agrupa os componentes por tipo, sem duplicatas, em ordem alfabética (tipos e membros).
+const groupByType = (components) => {
+    const seen = new Set();
+    const groups = {};
+    for (const component of components) {
+        const key = componentKey(component);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        (groups[component.type] ??= []).push(component.member);
+    }
+    return Object.keys(groups).sort().map(type => ({ type, members: groups[type].sort() }));
+};
+
+/**
+ * Monta um manifesto no formato do Metadata API.
+ *
+ * @param {Array<{type: string, member: string}>} components Componentes a listar.
+ * @param {string} [apiVersion] Versão do manifesto; omitida nos destructiveChanges.
+ * @returns {string} XML pronto para gravar.
+ */
+const buildPackageXml = (components, apiVersion) => {
+    const typeElements = groupByType(components).map(({ type, members }) => ({
+        type: 'element',
+        name: 'types',
+        elements: [...members.map(member => textElement('members', member)), textElement('name', type)]
+    }));
+    const packageElement = {
+        type: 'element',
+        name: 'Package',
+        attributes: { xmlns: METADATA_NAMESPACE },
+        elements: apiVersion ? [...typeElements, textElement('version', apiVersion)] : typeElements
+    };
+    return convert.js2xml({
+        declaration: { attributes: { version: '1.0', encoding: 'UTF-8' } },
+        elements: [packageElement]
+    }, { compact: false, spaces: 4 }) + '\n';
+};
+
+/**
+ * Grava um pacote destrutivo: package.xml (vazio, ou com os componentes que sobem junto)
+ * mais destructiveChanges.xml (pré) e destructiveChangesPost.xml (pós), cada um apenas se
+ * houver membros. `output` é o fs onde gravar (o stagingFs em memória no --dryRun).
+ */
+const writeDestructivePackage = async (packageDir, { pre = [], post = [], components = [] }, apiVersion, output = fs) => {
+    await output.ensureDir(packageDir);
+    const writes = [output.writeFile(path.join(packageDir, 'package.xml'), buildPackageXml(components, apiVersion), 'utf8')];
+    if (pre.length > 0) writes.push(output.writeFile(path.join(packageDir, 'destructiveChanges.xml'), buildPackageXml(pre), 'utf8'));
+    if (post.length > 0) writes.push(output.writeFile(path.join(packageDir, 'destructiveChangesPost.xml'), buildPackageXml(post), 'utf8'));
+    await Promise.all(writes);
+};
+
+module.exports = { METADATA_NAMESPACE, readApiVersion, buildPackageXml, writeDestructivePackage };
@@ -0,0 +1,430 @@
+/**
+ * messages.js
+ *
+ * Catálogo das mensagens do pipeline, em pt-BR (padrão) e en. Quem loga emite uma chave e os
+ * parâmetros; o texto sai daqui, no idioma escolhido com --lang. Chave sem tradução cai no pt-BR.
+ */
+const DEFAULT_LOCALE = 'pt-BR';
+
+const lines = items => items.map(item => `\n  - ${item}`).join('');
+const differences = items => items.map(item => `\n    ${item}`).join('');
+
+// Nomes dos tipos JSON nas mensagens do validador do exceptionPath.schema.json.
+const SCHEMA_TYPES = {
+    'pt-BR': { object: 'objeto', array: 'lista', string: 'texto', number: 'número', boolean: 'booleano', null: 'null' },
+    en: { object: 'object', array: 'list', string: 'text', number: 'number', boolean: 'boolean', null: 'null' }
+};
+
+const MESSAGES = {
+    'pt-BR': {
+        'phase.identifyNewMetadata': () => 'Fase 1: Identificação de metadados novos...',
+        'phase.identifyDeletedMetadata': () => 'Fase 1b: Identificação de metadados removidos...',
+        'phase.resolveDependencies': () => 'Fase 1c: Inclusão de dependências novas...',
+        'phase.filterPermissions': () => 'Fase 2b: Filtro de permissões de profiles e permission sets...',
+        'phase.sanitizeMetadata': () => 'Fase 2: Sanitização dos metadados...',
+        'phase.generateDeployPackages': () => 'Fase 3: Gerando pacotes de deploy...',
+        'phase.selectTests': () => 'Fase 4: Seleção de testes por dependência...',
+        'phase.generateDeployCommands': () => 'Gerando comandos de deploy...',
+        'phase.generateChangesDiff': () => 'Gerando relatório de mudanças...',
+        'phase.reactivate': () => 'Fase 5: Pós-deploy (Reativação)...',
+        'phase.removeHack': () => 'Pós-deploy: removendo o injectHack...',
+        'phase.summary': p => `Resumo de ${p.phase} (${p.seconds} s):`,
+        'phase.summaryRow': p => `  ${p.decision}  ${p.count}`,
+
+        'file.failed': p => `ERRO (${p.path}): ${p.error}`,
+        'file.sanitized': p => `${p.action}: ${p.path}`,
+
+        'identify.ignoredByException': p => `Ignorado por exceção: ${p.path}${p.reason ? ` (${p.reason})` : ''}`,
+        'identify.noStandardValue': p => `Ignorando arquivo sem <standardValue>: ${p.path}`,
+        'identify.listViewMine': p => `Ignorando arquivo com <filterScope>Mine</filterScope>: ${p.path}`,
+        'identify.invalidXml': p => `XML inválido, comparando ${p.path} como arquivo inteiro: ${p.error}`,
+        'identify.new': p => `Novo: ${p.path}`,
+        'identify.outsideIncludePaths': p => `fora do includePaths de ${p.folder}`,
+        'identify.modified': p => `Alterado: ${p.path}${differences(p.differences)}`,
+        'identify.modifiedPartial': p => `Alterado (parcial): ${p.path}${differences(p.differences)}`,
+        'identify.bundleMemberRemoved': p => `Removido do bundle ${p.bundle}: ${p.path}`,
+        'identify.bundleCopied': p => `Bundle ${p.path} copiado inteiro (${p.count} arquivos)`,
+
+        'deleted.unknownType': p => `Removido sem tipo conhecido, ignorando: ${p.path}`,
+        'deleted.file': p => `Removido: ${p.path}`,
+        'deleted.none': () => 'Nenhum metadado removido encontrado.',
+        'deleted.package': p => `Pacote destrutivo gerado com ${p.count} componentes (${p.pre} pré, ${p.post} pós): ${p.dir}`,
+
+        'dependencies.reason': p => `${p.type} ${p.name}, referenciado por ${p.from}`,
+        'dependencies.included': p => `Dependência incluída: ${p.path} (${p.reason})`,
+        'dependencies.blocked': p => `Dependência nova ignorada por exceção: ${p.path} (${p.reason})${p.exceptionReason ? ` — ${p.exceptionReason}` : ''}`,
+        'dependencies.summary': p => `${p.count} dependências novas incluídas no news.`,
+        'dependencies.none': () => 'Nenhuma dependência nova fora do news.',
+
+        'permissions.missing': p => `${p.missing} não existe no destino nem sobe neste deploy`,
+        'permissions.dropped': p => `${p.element} ${p.member} removido: ${p.reason}`,
+        'permissions.fileSummary': p => `${p.count} permissões removidas de ${p.path}`,
+        'permissions.summary': p => `${p.count} permissões sem componente no destino removidas: ${p.file}`,
+        'permissions.none': () => 'Nenhuma permissão aponta para componentes ausentes.',
+
+        'hack.testClass': p => `Classe de teste (@IsTest), sem injeção: ${p.path}`,
+        'hack.skipped': p => `Injeção não realizada em ${p.path}: ${p.reason}.`,
+        'hack.injected': p => `Método testeXPTO injetado para cobertura (${p.testClass})`,
+        'hack.injectedClass': p => `Método testeXPTO injetado em ${p.path}`,
+        'hack.testGenerated': p => `Classe de teste gerada: ${p.path}`,
+        'sanitize.testClassRemoved': () => 'Classe de teste removida do pacote',
+        'sanitize.summary': () => 'Resumo da sanitização (regra: arquivos):',
+        'sanitize.summaryRow': p => `  ${p.rule}  ${p.count}`,
+        'sanitize.ruleApplied': p => `Regra ${p.rule} aplicada`,
+
+        'failures.report': p => `\n${p.count} arquivo(s) com erro ficaram fora dos pacotes:${p.phases.map(({ phase, failures }) => `\n  ${phase}:${failures.map(({ path, message }) => `\n    - ${path}: ${message}`).join('')}`).join('')}\nRelatório gravado em ${p.file}`,
+
+        'packages.creating': p => `Criando pacote ${p.pkg} com [${p.components.join(', ')}] usando base "${p.base}"`,
+        'packages.unknownType': p => `Tipo de metadado desconhecido, fora do package.xml de ${p.pkg}: ${p.path}`,
+        'packages.file': p => `${p.path} -> ${p.pkg}`,
+        'packages.manifest': p => `Manifesto gerado: ${p.path}`,
+        'packages.split': p => `Pacote ${p.pkg} passa dos limites da Metadata API; dividido em ${p.parts.length} sub-pacotes:${p.parts.map(part => `\n  ${part.name}: ${part.files} arquivo(s), ~${part.zippedMb} MB zipado, ${part.unzippedMb} MB descompactado`).join('')}`,
+        'packages.unitTooLarge': p => `${p.unit} (pacote ${p.pkg}) sozinho passa dos limites da Metadata API (${p.files} arquivo(s), ~${p.zippedMb} MB zipado, ${p.unzippedMb} MB descompactado); o deploy dele vai falhar`,
+        'packages.orphans': p => `\nATENÇÃO: ${p.count} arquivos alterados não pertencem a nenhum pacote do deployPlan:${p.folders.map(({ folder, count }) => `\n  ${folder}: ${count} arquivo(s)`).join('')}${p.paths.map(orphan => `\n  - ${orphan}`).join('')}\nRelatório gravado em ${p.file}`,
+
+        'tests.selected': p => `Testes selecionados (${p.tests.length}): ${p.tests.join(', ') || 'nenhum'}`,
+        'tests.untested': p => `Classes/triggers alteradas que nenhum teste referencia: ${p.classes.join(', ')}`,
+        'tests.dummyGenerated': p => `DummyTest gerado em ${p.dir} (API ${p.apiVersion})`,
+        'commands.written': () => 'Comandos de deploy gravados em deployCommands.txt',
+
+        'reactivate.unknownType': p => `Tipo sem reativação conhecida (${p.type}): ${p.path}`,
+        'reactivate.created': p => `Reativação criada: ${p.path}`,
+        'reactivate.none': () => 'Nenhum componente para reativar.',
+        'reactivate.package': p => `Pacote de reativação gerado em ${p.dir}:\n${p.command}`,
+        'removeHack.restored': p => `Corpo original restaurado: ${p.path}`,
+        'removeHack.package': p => `Pacote de remoção do hack gerado em ${p.dir} (${p.count} classes):\n${p.command}`,
+
+        'staging.wiped': () => 'Diretórios limpos: news, sanitized, packages',
+        'sfdx.created': () => 'sfdx-project.json criado.',
+        'sfdx.skipped': () => 'sfdx-project.json já existe, mantido.',
+        'report.generated': p => `\nRelatório de mudanças (${p.new} novos, ${p.modified} alterados, ${p.deleted} removidos): ${p.file}, changes.json, changes.md`,
+        'git.mode': p => `Modo git: ${p.from} -> ${p.to}, ${p.count} arquivo(s) alterado(s).`,
+        'index.stats': p => `Índice de ${p.label}: ${p.files} arquivos, ${p.reused} hashes reaproveitados, ${p.computed} calculados.`,
+        'exceptions.expired': p => `Exceções vencidas no exceptionPath.json (${p.entries.length}):${lines(p.entries)}`,
+        'exceptions.unmatched': p => `Exceções do exceptionPath.json que não casaram com nenhum arquivo (${p.entries.length}):${lines(p.entries)}`,
+        'exceptions.entry': p => `${p.folder}/${p.list}: ${p.pattern} (linha ${p.line}${p.reason ? `, ${p.reason}` : ''}${p.expires ? `, vence em ${p.expires}` : ''})`,
+
+        'deploy.waveSkipped': p => `Onda ${p.wave} já concluída, pulando.`,
+        'deploy.waveRunning': p => `Executando ${p.wave}: sf project deploy ${p.command} em ${p.targetOrg}...`,
+        'deploy.waveDone': p => `Onda ${p.wave} concluída${p.jobId ? ` (${p.jobId})` : ''}.`,
+        'deploy.waveFailed': p => `Falha na onda ${p.wave}:\n${p.errors.join('\n')}`,
+        'deploy.allDone': p => `Todas as ondas concluídas (${p.mode} em ${p.targetOrg}).`,
+        'deploy.interrupted': p => `Deploy interrompido na onda ${p.wave}. Corrija e rode novamente com --resume.`,
+        'deploy.noState': p => `Nenhum deploy anterior para retomar: ${p.file} não encontrado.`,
+        'deploy.componentFailure': p => `  [${p.type}] ${p.name}${p.line ? ` (linha ${p.line})` : ''}: ${p.problem}`,
+        'deploy.testFailure': p => `  [Teste] ${p.name}.${p.method}: ${p.message}`,
+        'deploy.coverageWarning': p => `  [Cobertura] ${p.name ?? 'org'}: ${p.message}`,
+        'deploy.unknownError': () => 'Erro desconhecido do sf.',
+        'deploy.notJson': p => `Saída do sf não é JSON: ${p.output}`,
+
+        'status.new': () => 'novo',
+        'status.modified': () => 'alterado',
+        'status.deleted': () => 'removido',
+        'changes.title': () => 'Resumo do release',
+        'changes.summary': p => `Gerado em ${p.generatedAt}: ${p.new} novos, ${p.modified} alterados, ${p.deleted} removidos.`,
+        'changes.outsidePackages': () => '(fora dos pacotes)',
+        'changes.unknownType': () => '(tipo desconhecido)',
+        'changes.renamed': p => ` (renomeado de ${p.from})`,
+        'changes.error': p => `**erro**: ${p.error}`,
+        'changes.sanitization': p => `sanitização: ${p.action}`,
+        'changes.dependency': p => `dependência: ${p.reason}`,
+        'dryRun.header': p => `Plano (--dryRun): ${p.new} novos, ${p.modified} alterados, ${p.deleted} removidos. Nada foi gravado.`,
+        'dryRun.files': () => 'Arquivos:',
+        'dryRun.error': p => `ERRO: ${p.error}`,
+        'dryRun.packages': () => 'Pacotes:',
+        'dryRun.package': p => `${p.name}${p.wave ? ` [parte da onda ${p.wave}]` : ''} (${p.testLevel}): ${p.count} componente(s)`,
+        'dryRun.destructive': p => `destructive: pré [${p.pre.join(', ')}], pós [${p.post.join(', ')}]`,
+        'dryRun.orphans': p => `Fora de qualquer pacote (${p.count}):`,
+        'dryRun.tests': p => `Testes (${p.tests.length}): ${p.tests.join(', ') || 'nenhum'}`,
+        'dryRun.untested': p => `sem teste: ${p.classes.join(', ')}`,
+        'dryRun.commands': () => 'Comandos:',
+        'dryRun.stagedFiles': p => `Arquivos que seriam gravados: ${p.count}`,
+
+        'cli.packagesReady': () => 'Pacotes para deploy gerados com sucesso.',
+        'cli.failuresBlockDeploy': p => `Pacotes gerados sem os ${p.count} arquivo(s) com erro; corrija-os antes do deploy.`,
+        'cli.planSaved': p => `Plano gravado em ${p.file}`,
+        'cli.fatal': p => p.error,
+        'cli.invalidLang': p => `Idioma inválido: ${p.lang} (use ${p.allowed.join(', ')}).`,
+
+        'errors.fileMissing': p => `Arquivo ${p.file} não encontrado.`,
+        'errors.invalidXml': p => `Erro no XML (${p.path}): ${p.error}`,
+        'errors.strictPackaging': p => `--strictPackaging: ${p.count} arquivos alterados fora dos pacotes (ver ${p.file}).`,
+        'errors.productionNoTestRun': p => `--production: NoTestRun não é permitido em pacotes com Apex (${p.packages.join(', ')}); ajuste o testLevel no deployPlan.`,
+        'errors.statesFileMissing': p => `Arquivo de estados ${p.file} não encontrado. Rode antes com --inactivate.`,
+        'errors.hackManifestMissing': p => `Manifesto ${p.file} não encontrado. Rode antes com --injectHack.`,
+        'errors.originalMissing': p => `Original de ${p.path} não encontrado em ${p.dir}.`,
+        'errors.wipeFailed': p => `Erro ao limpar diretórios: ${p.error}`,
+        'errors.gitRefsMissing': () => 'Modo git: informe from (destino) e to (origem).',
+        'errors.treesMissing': () => 'Informe sourcePath e targetPath (ou repo, from e to).',
+        'errors.deployPlanLoad': p => `Erro ao carregar deployPlan: ${p.error}`,
+        'errors.sanitizationRulesLoad': p => `Erro ao carregar as regras de sanitização: ${p.error}`,
+
+        'deployPlan.wavesMissing': p => `${p.file}: esperado um objeto "waves".`,
+        'deployPlan.invalid': p => `Plano de deploy inválido (${p.file}):${lines(p.errors)}`,
+        'deployPlan.circular': p => `Dependência circular entre as ondas: ${p.waves.join(', ')}`,
+        'deployPlan.waveNotObject': p => `${p.wave}: a onda deve ser um objeto.`,
+        'deployPlan.componentsNotList': p => `${p.wave}: "components" deve ser uma lista de pastas.`,
+        'deployPlan.unknownFolder': p => `${p.wave}: pasta de metadado desconhecida "${p.folder}".`,
+        'deployPlan.invalidBaseSource': p => `${p.wave}: baseSource "${p.value}" inválido (use ${p.allowed.join(' ou ')}).`,
+        'deployPlan.invalidTestLevel': p => `${p.wave}: testLevel "${p.value}" inválido (use ${p.allowed.join(', ')}).`,
+        'deployPlan.testsNotList': p => `${p.wave}: "tests" deve ser uma lista não vazia de classes de teste.`,
+        'deployPlan.testsNeedSpecified': p => `${p.wave}: "tests" só vale com testLevel RunSpecifiedTests.`,
+        'deployPlan.dependsOnNotList': p => `${p.wave}: "dependsOn" deve ser uma lista de ondas.`,
+        'deployPlan.unknownDependency': p => `${p.wave}: depende de onda inexistente "${p.dependency}".`,
+
+        'rules.listMissing': p => `${p.file}: esperada uma lista "rules".`,
+        'rules.invalid': p => `Regras de sanitização inválidas (${p.file}):${lines(p.errors)}`,
+        'rules.rule': p => `regra ${p.rule}`,
+        'rules.action': p => `${p.rule}, ação ${p.index}`,
+        'rules.nameRequired': p => `${p.prefix}: "name" é obrigatório.`,
+        'rules.duplicateName': p => `${p.prefix}: nome duplicado.`,
+        'rules.invalidMatch': p => `${p.prefix}: "match" deve ser um glob ou uma lista de globs.`,
+        'rules.invalidOnlyWith': p => `${p.prefix}: onlyWith "${p.value}" inválido (use ${p.allowed.join(', ')}).`,
+        'rules.invalidLog': p => `${p.prefix}: "log" deve ser um texto ou um objeto { "<idioma>": "texto" } (${p.allowed.join(', ')}).`,
+        'rules.actionsRequired': p => `${p.prefix}: "actions" deve ser uma lista não vazia.`,
+        'rules.invalidActionType': p => `${p.prefix}: tipo de ação "${p.value}" inválido (use ${p.allowed.join(', ')}).`,
+        'rules.elementRequired': p => `${p.prefix}: "${p.type}" precisa de "element".`,
+        'rules.valueRequired': p => `${p.prefix}: "setValue" precisa de "value" (texto).`,
+        'rules.keepOnlyElements': p => `${p.prefix}: "keepOnly" precisa de uma lista "elements".`,
+        'rules.invalidWhere': p => `${p.prefix}: "where" deve ser { "anyOf": [{ "child": "...", "in" | "notIn": [...] }] }.`,
+        'rules.missingElement': p => `Elemento <${p.element}> ausente: ${p.path}`,
+
+        'exceptions.invalidJson': p => `${p.file}${p.line ? `:${p.line}` : ''}: JSON inválido: ${p.error}`,
+        'exceptions.invalid': p => `exceptionPath inválido:${lines(p.errors)}`,
+        'exceptions.error': p => `${p.file}:${p.line} (${p.pointer}): ${p.message}`,
+        'exceptions.invalidRegex': p => `regex inválida: ${p.error}`,
+        'exceptions.invalidDate': p => `data "${p.value}" inválida`,
+        'schema.expectedFormat': p => `esperado ${p.description ?? 'outro formato'}`,
+        'schema.expectedType': p => `esperado ${SCHEMA_TYPES['pt-BR'][p.expected]}, encontrado ${SCHEMA_TYPES['pt-BR'][p.found]}`,
+        'schema.emptyText': () => 'texto vazio',
+        'schema.badFormat': p => `"${p.value}" fora do formato ${p.format}`,
+        'schema.required': p => `"${p.key}" é obrigatório`,
+        'schema.unknownField': p => `campo "${p.key}" desconhecido (use ${p.known.join(', ')})`,
+
+        'xml.added': p => `${p.path}: adicionado`,
+        'xml.removed': p => `${p.path}: removido`,
+        'xml.attributesChanged': p => `${p.path}: atributos alterados`,
+        'xml.rootChanged': p => `${p.from} -> ${p.to}: elemento raiz alterado`,
+        'xml.noRoot': () => 'XML sem elemento raiz.',
+        'tree.dirMissing': p => `Diretório ${p.dir} não encontrado.`,
+        'tree.gitFailed': p => `git ${p.command} falhou: ${p.error}`,
+        'tree.refMissing': p => `Referência git "${p.ref}" não encontrada em ${p.repo}.`,
+        'tree.objectMissing': p => `Objeto ${p.sha} não encontrado no repositório.`,
+        'tree.fileMissing': p => `ENOENT: ${p.path} não existe em ${p.ref}`,
+        'logger.invalidLevel': p => `Nível de log inválido: ${p.level} (use ${p.allowed.join(', ')}).`
+    },
+    en: {
+        'phase.identifyNewMetadata': () => 'Phase 1: Identifying new metadata...',
+        'phase.identifyDeletedMetadata': () => 'Phase 1b: Identifying deleted metadata...',
+        'phase.resolveDependencies': () => 'Phase 1c: Pulling in new dependencies...',
+        'phase.filterPermissions': () => 'Phase 2b: Filtering profile and permission set entries...',
+        'phase.sanitizeMetadata': () => 'Phase 2: Sanitizing metadata...',
+        'phase.generateDeployPackages': () => 'Phase 3: Generating deploy packages...',
+        'phase.selectTests': () => 'Phase 4: Selecting tests by dependency...',
+        'phase.generateDeployCommands': () => 'Generating deploy commands...',
+        'phase.generateChangesDiff': () => 'Generating change report...',
+        'phase.reactivate': () => 'Phase 5: Post-deploy (reactivation)...',
+        'phase.removeHack': () => 'Post-deploy: removing the injectHack...',
+        'phase.summary': p => `${p.phase} summary (${p.seconds} s):`,
+        'phase.summaryRow': p => `  ${p.decision}  ${p.count}`,
+
+        'file.failed': p => `ERROR (${p.path}): ${p.error}`,
+        'file.sanitized': p => `${p.action}: ${p.path}`,
+
+        'identify.ignoredByException': p => `Ignored by exception: ${p.path}${p.reason ? ` (${p.reason})` : ''}`,
+        'identify.noStandardValue': p => `Skipping file without <standardValue>: ${p.path}`,
+        'identify.listViewMine': p => `Skipping file with <filterScope>Mine</filterScope>: ${p.path}`,
+        'identify.invalidXml': p => `Invalid XML, comparing ${p.path} as a whole file: ${p.error}`,
+        'identify.new': p => `New: ${p.path}`,
+        'identify.outsideIncludePaths': p => `outside the includePaths of ${p.folder}`,
+        'identify.modified': p => `Modified: ${p.path}${differences(p.differences)}`,
+        'identify.modifiedPartial': p => `Modified (partial): ${p.path}${differences(p.differences)}`,
+        'identify.bundleMemberRemoved': p => `Removed from bundle ${p.bundle}: ${p.path}`,
+        'identify.bundleCopied': p => `Bundle ${p.path} copied whole (${p.count} files)`,
+
+        'deleted.unknownType': p => `Deleted file of unknown type, ignoring: ${p.path}`,
+        'deleted.file': p => `Deleted: ${p.path}`,
+        'deleted.none': () => 'No deleted metadata found.',
+        'deleted.package': p => `Destructive package generated with ${p.count} components (${p.pre} pre, ${p.post} post): ${p.dir}`,
+
+        'dependencies.reason': p => `${p.type} ${p.name}, referenced by ${p.from}`,
+        'dependencies.included': p => `Dependency included: ${p.path} (${p.reason})`,
+        'dependencies.blocked': p => `New dependency ignored by exception: ${p.path} (${p.reason})${p.exceptionReason ? ` — ${p.exceptionReason}` : ''}`,
+        'dependencies.summary': p => `${p.count} new dependencies added to news.`,
+        'dependencies.none': () => 'No new dependencies outside news.',
+
+        'permissions.missing': p => `${p.missing} is neither in the target nor in this deploy`,
+        'permissions.dropped': p => `${p.element} ${p.member} removed: ${p.reason}`,
+        'permissions.fileSummary': p => `${p.count} permissions removed from ${p.path}`,
+        'permissions.summary': p => `${p.count} permissions without a component in the target removed: ${p.file}`,
+        'permissions.none': () => 'No permission points to missing components.',
+
+        'hack.testClass': p => `Test class (@IsTest), no injection: ${p.path}`,
+        'hack.skipped': p => `No injection was performed on ${p.path}: ${p.reason}.`,
+        'hack.injected': p => `testeXPTO method injected for coverage (${p.testClass})`,
+        'hack.injectedClass': p => `testeXPTO method injected into class: ${p.path}`,
+        'hack.testGenerated': p => `Test class generated: ${p.path}`,
+        'sanitize.testClassRemoved': () => 'Test class removed from the package',
+        'sanitize.summary': () => 'Sanitization summary (rule: files):',
+        'sanitize.summaryRow': p => `  ${p.rule}  ${p.count}`,
+        'sanitize.ruleApplied': p => `Rule ${p.rule} applied`,
+
+        'failures.report': p => `\n${p.count} file(s) with errors were left out of the packages:${p.phases.map(({ phase, failures }) => `\n  ${phase}:${failures.map(({ path, message }) => `\n    - ${path}: ${message}`).join('')}`).join('')}\nReport written to ${p.file}`,
+
+        'packages.creating': p => `Creating package ${p.pkg} with [${p.components.join(', ')}] from "${p.base}"`,
+        'packages.unknownType': p => `Unknown metadata type, left out of the ${p.pkg} package.xml: ${p.path}`,
+        'packages.file': p => `${p.path} -> ${p.pkg}`,
+        'packages.manifest': p => `Manifest generated: ${p.path}`,
+        'packages.split': p => `Package ${p.pkg} exceeds the Metadata API limits; split into ${p.parts.length} sub-packages:${p.parts.map(part => `\n  ${part.name}: ${part.files} file(s), ~${part.zippedMb} MB zipped, ${part.unzippedMb} MB unzipped`).join('')}`,
+        'packages.unitTooLarge': p => `${p.unit} (package ${p.pkg}) alone exceeds the Metadata API limits (${p.files} file(s), ~${p.zippedMb} MB zipped, ${p.unzippedMb} MB unzipped); its deploy will fail`,
+        'packages.orphans': p => `\nWARNING: ${p.count} changed files do not belong to any deployPlan package:${p.folders.map(({ folder, count }) => `\n  ${folder}: ${count} file(s)`).join('')}${p.paths.map(orphan => `\n  - ${orphan}`).join('')}\nReport written to ${p.file}`,
+
+        'tests.selected': p => `Selected tests (${p.tests.length}): ${p.tests.join(', ') || 'none'}`,
+        'tests.untested': p => `Changed classes/triggers no test references: ${p.classes.join(', ')}`,
+        'tests.dummyGenerated': p => `DummyTest generated in ${p.dir} (API ${p.apiVersion})`,
+        'commands.written': () => 'Deployment commands written to deployCommands.txt',
+
+        'reactivate.unknownType': p => `Type without known reactivation (${p.type}): ${p.path}`,
+        'reactivate.created': p => `Reactivation created: ${p.path}`,
+        'reactivate.none': () => 'No components to reactivate.',
+        'reactivate.package': p => `Reactivation package generated at ${p.dir}:\n${p.command}`,
+        'removeHack.restored': p => `Original body restored: ${p.path}`,
+        'removeHack.package': p => `Hack removal package generated at ${p.dir} (${p.count} classes):\n${p.command}`,
+
+        'staging.wiped': () => 'Directories cleaned: news, sanitized, packages',
+        'sfdx.created': () => 'sfdx-project.json created.',
+        'sfdx.skipped': () => 'Skipping sfdx-project.json creation...',
+        'report.generated': p => `\nGenerated change report (${p.new} new, ${p.modified} modified, ${p.deleted} deleted) at: ${p.file}, changes.json, changes.md`,
+        'git.mode': p => `Git mode: ${p.from} -> ${p.to}, ${p.count} changed file(s).`,
+        'index.stats': p => `Index of ${p.label}: ${p.files} files, ${p.reused} hashes reused, ${p.computed} computed.`,
+        'exceptions.expired': p => `Expired exceptions in exceptionPath.json (${p.entries.length}):${lines(p.entries)}`,
+        'exceptions.unmatched': p => `exceptionPath.json entries that matched no file (${p.entries.length}):${lines(p.entries)}`,
+        'exceptions.entry': p => `${p.folder}/${p.list}: ${p.pattern} (line ${p.line}${p.reason ? `, ${p.reason}` : ''}${p.expires ? `, expires on ${p.expires}` : ''})`,
+
+        'deploy.waveSkipped': p => `Wave ${p.wave} already done, skipping.`,
+        'deploy.waveRunning': p => `Running ${p.wave}: sf project deploy ${p.command} on ${p.targetOrg}...`,
+        'deploy.waveDone': p => `Wave ${p.wave} done${p.jobId ? ` (${p.jobId})` : ''}.`,
+        'deploy.waveFailed': p => `Wave ${p.wave} failed:\n${p.errors.join('\n')}`,
+        'deploy.allDone': p => `All waves done (${p.mode} on ${p.targetOrg}).`,
+        'deploy.interrupted': p => `Deploy stopped at wave ${p.wave}. Fix it and run again with --resume.`,
+        'deploy.noState': p => `No previous deploy to resume: ${p.file} not found.`,
+        'deploy.componentFailure': p => `  [${p.type}] ${p.name}${p.line ? ` (line ${p.line})` : ''}: ${p.problem}`,
+        'deploy.testFailure': p => `  [Test] ${p.name}.${p.method}: ${p.message}`,
+        'deploy.coverageWarning': p => `  [Coverage] ${p.name ?? 'org'}: ${p.message}`,
+        'deploy.unknownError': () => 'Unknown sf error.',
+        'deploy.notJson': p => `sf output is not JSON: ${p.output}`,
+
+        'status.new': () => 'new',
+        'status.modified': () => 'modified',
+        'status.deleted': () => 'deleted',
+        'changes.title': () => 'Release summary',
+        'changes.summary': p => `Generated at ${p.generatedAt}: ${p.new} new, ${p.modified} modified, ${p.deleted} deleted.`,
+        'changes.outsidePackages': () => '(outside the packages)',
+        'changes.unknownType': () => '(unknown type)',
+        'changes.renamed': p => ` (renamed from ${p.from})`,
+        'changes.error': p => `**error**: ${p.error}`,
+        'changes.sanitization': p => `sanitization: ${p.action}`,
+        'changes.dependency': p => `dependency: ${p.reason}`,
+        'dryRun.header': p => `Plan (--dryRun): ${p.new} new, ${p.modified} modified, ${p.deleted} deleted. Nothing was written.`,
+        'dryRun.files': () => 'Files:',
+        'dryRun.error': p => `ERROR: ${p.error}`,
+        'dryRun.packages': () => 'Packages:',
+        'dryRun.package': p => `${p.name}${p.wave ? ` [part of wave ${p.wave}]` : ''} (${p.testLevel}): ${p.count} component(s)`,
+        'dryRun.destructive': p => `destructive: pre [${p.pre.join(', ')}], post [${p.post.join(', ')}]`,
+        'dryRun.orphans': p => `Outside any package (${p.count}):`,
+        'dryRun.tests': p => `Tests (${p.tests.length}): ${p.tests.join(', ') || 'none'}`,
+        'dryRun.untested': p => `untested: ${p.classes.join(', ')}`,
+        'dryRun.commands': () => 'Commands:',
+        'dryRun.stagedFiles': p => `Files that would be written: ${p.count}`,
+
+        'cli.packagesReady': () => 'Deploy packages generated successfully.',
+        'cli.failuresBlockDeploy': p => `Packages generated without the ${p.count} file(s) with errors; fix them before deploying.`,
+        'cli.planSaved': p => `Plan written to ${p.file}`,
+        'cli.fatal': p => p.error,
+        'cli.invalidLang': p => `Invalid language: ${p.lang} (use ${p.allowed.join(', ')}).`,
+
+        'errors.fileMissing': p => `File ${p.file} not found.`,
+        'errors.invalidXml': p => `Invalid XML (${p.path}): ${p.error}`,
+        'errors.strictPackaging': p => `--strictPackaging: ${p.count} changed files outside the packages (see ${p.file}).`,
+        'errors.productionNoTestRun': p => `--production: NoTestRun is not allowed for packages with Apex (${p.packages.join(', ')}); adjust the testLevel in the deployPlan.`,
+        'errors.statesFileMissing': p => `States file ${p.file} not found. Run with --inactivate first.`,
+        'errors.hackManifestMissing': p => `Manifest ${p.file} not found. Run with --injectHack first.`,
+        'errors.originalMissing': p => `Original of ${p.path} not found in ${p.dir}.`,
+        'errors.wipeFailed': p => `Error cleaning directories: ${p.error}`,
+        'errors.gitRefsMissing': () => 'Git mode: pass from (target) and to (source).',
+        'errors.treesMissing': () => 'Pass sourcePath and targetPath (or repo, from and to).',
+        'errors.deployPlanLoad': p => `Error loading the deployPlan: ${p.error}`,
+        'errors.sanitizationRulesLoad': p => `Error loading the sanitization rules: ${p.error}`,
+
+        'deployPlan.wavesMissing': p => `${p.file}: expected a "waves" object.`,
+        'deployPlan.invalid': p => `Invalid deploy plan (${p.file}):${lines(p.errors)}`,
+        'deployPlan.circular': p => `Circular dependency between waves: ${p.waves.join(', ')}`,
+        'deployPlan.waveNotObject': p => `${p.wave}: the wave must be an object.`,
+        'deployPlan.componentsNotList': p => `${p.wave}: "components" must be a list of folders.`,
+        'deployPlan.unknownFolder': p => `${p.wave}: unknown metadata folder "${p.folder}".`,
+        'deployPlan.invalidBaseSource': p => `${p.wave}: invalid baseSource "${p.value}" (use ${p.allowed.join(' or ')}).`,
+        'deployPlan.invalidTestLevel': p => `${p.wave}: invalid testLevel "${p.value}" (use ${p.allowed.join(', ')}).`,
+        'deployPlan.testsNotList': p => `${p.wave}: "tests" must be a non-empty list of test classes.`,
+        'deployPlan.testsNeedSpecified': p => `${p.wave}: "tests" only applies with testLevel RunSpecifiedTests.`,
+        'deployPlan.dependsOnNotList': p => `${p.wave}: "dependsOn" must be a list of waves.`,
+        'deployPlan.unknownDependency': p => `${p.wave}: depends on unknown wave "${p.dependency}".`,
+
+        'rules.listMissing': p => `${p.file}: expected a "rules" list.`,
+        'rules.invalid': p => `Invalid sanitization rules (${p.file}):${lines(p.errors)}`,
+        'rules.rule': p => `rule ${p.rule}`,
+        'rules.action': p => `${p.rule}, action ${p.index}`,
+        'rules.nameRequired': p => `${p.prefix}: "name" is required.`,
+        'rules.duplicateName': p => `${p.prefix}: duplicate name.`,
+        'rules.invalidMatch': p => `${p.prefix}: "match" must be a glob or a list of globs.`,
+        'rules.invalidOnlyWith': p => `${p.prefix}: invalid onlyWith "${p.value}" (use ${p.allowed.join(', ')}).`,
+        'rules.invalidLog': p => `${p.prefix}: "log" must be a text or an object { "<locale>": "text" } (${p.allowed.join(', ')}).`,
+        'rules.actionsRequired': p => `${p.prefix}: "actions" must be a non-empty list.`,
+        'rules.invalidActionType': p => `${p.prefix}: invalid action type "${p.value}" (use ${p.allowed.join(', ')}).`,
+        'rules.elementRequired': p => `${p.prefix}: "${p.type}" needs "element".`,
+        'rules.valueRequired': p => `${p.prefix}: "setValue" needs "value" (text).`,
+        'rules.keepOnlyElements': p => `${p.prefix}: "keepOnly" needs an "elements" list.`,
+        'rules.invalidWhere': p => `${p.prefix}: "where" must be { "anyOf": [{ "child": "...", "in" | "notIn": [...] }] }.`,
+        'rules.missingElement': p => `Element <${p.element}> missing: ${p.path}`,
+
+        'exceptions.invalidJson': p => `${p.file}${p.line ? `:${p.line}` : ''}: invalid JSON: ${p.error}`,
+        'exceptions.invalid': p => `Invalid exceptionPath:${lines(p.errors)}`,
+        'exceptions.error': p => `${p.file}:${p.line} (${p.pointer}): ${p.message}`,
+        'exceptions.invalidRegex': p => `invalid regex: ${p.error}`,
+        'exceptions.invalidDate': p => `invalid date "${p.value}"`,
+        'schema.expectedFormat': p => `expected ${p.description ?? 'another format'}`,
+        'schema.expectedType': p => `expected ${SCHEMA_TYPES.en[p.expected]}, found ${SCHEMA_TYPES.en[p.found]}`,
+        'schema.emptyText': () => 'empty text',
+        'schema.badFormat': p => `"${p.value}" does not match ${p.format}`,
+        'schema.required': p => `"${p.key}" is required`,
+        'schema.unknownField': p => `unknown field "${p.key}" (use ${p.known.join(', ')})`,
+
+        'xml.added': p => `${p.path}: added`,
+        'xml.removed': p => `${p.path}: removed`,
+        'xml.attributesChanged': p => `${p.path}: attributes changed`,
+        'xml.rootChanged': p => `${p.from} -> ${p.to}: root element changed`,
+        'xml.noRoot': () => 'XML without a root element.',
+        'tree.dirMissing': p => `Directory ${p.dir} not found.`,
+        'tree.gitFailed': p => `git ${p.command} failed: ${p.error}`,
+        'tree.refMissing': p => `Git reference "${p.ref}" not found in ${p.repo}.`,
+        'tree.objectMissing': p => `Object ${p.sha} not found in the repository.`,
+        'tree.fileMissing': p => `ENOENT: ${p.path} does not exist in ${p.ref}`,
+        'logger.invalidLevel': p => `Invalid log level: ${p.level} (use ${p.allowed.join(', ')}).`
+    }
+};
+
+const LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Texto de uma mensagem do catálogo.
+ *
+ * @param {string} locale 'pt-BR' ou 'en'.
+ * @param {string} key Chave do catálogo ('identify.new'...).
+ * @param {object} [params] Parâmetros da mensagem.
+ * @returns {string} O texto; a própria chave se ela não existir.
+ */
+const formatMessage = (locale, key, params = {}) => {
+    const template = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+    return template ? template(params) : key;
+};
+
+module.exports = { DEFAULT_LOCALE, LOCALES, MESSAGES, formatMessage };
@@ -0,0 +1,199 @@
+/**
+ * metadataTree.js
+ *
+ * Origem e destino do pipeline como "árvores" de metadados (force-app/main/default): um diretório
+ * em disco (--sourcePath/--targetPath) ou um commit de um repositório git (--repo --from --to),
+ * lido direto do banco de objetos, sem checkout.
+ *
+ * Toda árvore tem a mesma interface, com caminhos relativos à raiz dos metadados
+ * (ex.: classes/A.cls, separador do sistema):
+ *   label             descrição para as mensagens;
+ *   listFiles()       todos os arquivos;
+ *   exists(rel)       arquivo ou diretório existe;
+ *   readFile(rel)     conteúdo (Buffer);
+ *   readText(rel)     conteúdo em UTF-8;
+ *   prefetch(rels)    carrega vários arquivos de uma vez (no git, um único cat-file).
+ * A árvore indexada (createIndexedDirectoryTree) tem ainda:
+ *   contentHash(rel)  hash do conteúdo normalizado (hashIndex.js), sem ler o arquivo se ele não mudou;
+ *   saveIndex()       grava o índice para a próxima execução.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createStagingFs } = require('./stagingFs');
+const { loadHashIndex, indexFileFor } = require('./hashIndex');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+/**
+ * Árvore sobre um diretório. `fsImpl` é o fs onde ele está: o disco, ou o stagingFs
+ * (em memória no --dryRun) para ler o news/sanitized.
+ */
+const createDirectoryTree = (rootDir, fsImpl = createStagingFs()) => ({
+    label: rootDir,
+    listFiles: () => fsImpl.listFiles(rootDir).map(file => path.relative(rootDir, file)),
+    exists: relativePath => fsImpl.existsSync(path.join(rootDir, relativePath)),
+    readFile: relativePath => fsImpl.readFileSync(path.join(rootDir, relativePath)),
+    readText: relativePath => fsImpl.readFileSync(path.join(rootDir, relativePath), 'utf8'),
+    prefetch: () => { }
+});
+
+/**
+ * Árvore sobre um diretório do disco com o índice persistente de hashes: a listagem vem de uma
+ * varredura assíncrona e a comparação usa contentHash antes de ler os arquivos.
+ *
+ * @param {string} rootDir Diretório dos metadados.
+ * @param {{indexDir: string, locale?: string}} options Onde ficam os índices (um arquivo por diretório)
+ *        e o idioma do erro (messages.js).
+ * @returns {Promise<object>} A árvore.
+ * @throws {Error} Se o diretório não existir.
+ */
+const createIndexedDirectoryTree = async (rootDir, { indexDir, locale = DEFAULT_LOCALE }) => {
+    if (!fs.existsSync(rootDir)) {
+        throw new Error(formatMessage(locale, 'tree.dirMissing', { dir: rootDir }));
+    }
+    const index = await loadHashIndex(rootDir, indexFileFor(indexDir, rootDir));
+    const files = new Set(index.files);
+    const directories = new Set();
+    for (const relativePath of files) {
+        for (let dir = path.dirname(relativePath); dir !== '.' && !directories.has(dir); dir = path.dirname(dir)) {
+            directories.add(dir);
+        }
+    }
+
+    return {
+        label: rootDir,
+        listFiles: () => [...files],
+        exists: relativePath => files.has(relativePath) || directories.has(relativePath),
+        readFile: relativePath => fs.readFileSync(path.join(rootDir, relativePath)),
+        readText: relativePath => fs.readFileSync(path.join(rootDir, relativePath), 'utf8'),
+        prefetch: () => { },
+        contentHash: index.hash,
+        saveIndex: index.save,
+        indexStats: index.stats
+    };
+};
+
+const GIT_MAX_BUFFER = 1024 * 1024 * 1024;
+
+const git = (repo, args, locale, input) => {
+    try {
+        return execFileSync('git', ['-C', repo, ...args], { input, maxBuffer: GIT_MAX_BUFFER });
+    } catch (err) {
+        const stderr = err.stderr?.toString().trim();
+        throw new Error(formatMessage(locale, 'tree.gitFailed', { command: args.join(' '), error: stderr || err.message }));
+    }
+};
+
+// Caminhos do git (sempre "/") relativos à raiz dos metadados, com o separador do sistema.
+const toRelativePath = (gitPath, root) => path.posix.relative(root, gitPath).split(path.posix.sep).join(path.sep);
+
+const resolveCommit = (repo, ref, locale) => {
+    try {
+        return git(repo, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], locale).toString().trim();
+    } catch (err) {
+        throw new Error(formatMessage(locale, 'tree.refMissing', { ref, repo }));
+    }
+};
+
+// Saída do "git cat-file --batch": "<sha> blob <tamanho>\n<conteúdo>\n" para cada objeto pedido.
+const parseCatFileBatch = (output, locale) => {
+    const blobs = new Map();
+    let offset = 0;
+    while (offset < output.length) {
+        const headerEnd = output.indexOf(0x0a, offset);
+        const [sha, type, size] = output.subarray(offset, headerEnd).toString().split(' ');
+        if (type === 'missing') throw new Error(formatMessage(locale, 'tree.objectMissing', { sha }));
+        const start = headerEnd + 1;
+        blobs.set(sha, output.subarray(start, start + Number(size)));
+        offset = start + Number(size) + 1;
+    }
+    return blobs;
+};
+
+/**
+ * Árvore de um commit: a lista vem de um único "git ls-tree" e o conteúdo, sob demanda,
+ * do "git cat-file" (em lote no prefetch).
+ *
+ * @param {object} options
+ * @param {string} options.repo Diretório do repositório local.
+ * @param {string} options.ref Commit, branch ou tag.
+ * @param {string} [options.root='force-app/main/default'] Raiz dos metadados, relativa ao topo do repositório.
+ * @param {string} [options.locale='pt-BR'] Idioma dos erros (messages.js).
+ * @throws {Error} Se a referência não existir ou o git falhar.
+ */
+const createGitTree = ({ repo, ref, root = 'force-app/main/default', locale = DEFAULT_LOCALE }) => {
+    const commit = resolveCommit(repo, ref, locale);
+    const gitRoot = path.posix.normalize(root).replace(/\/$/, '');
+    const blobs = new Map(); // caminho relativo -> sha
+    const directories = new Set();
+
+    const listing = git(repo, ['ls-tree', '-r', '-z', '--full-tree', commit, '--', gitRoot], locale).toString();
+    for (const line of listing.split('\0').filter(Boolean)) {
+        const [meta, gitPath] = line.split('\t');
+        const [, type, sha] = meta.split(' ');
+        if (type !== 'blob') continue; // submódulos
+        const relativePath = toRelativePath(gitPath, gitRoot);
+        blobs.set(relativePath, sha);
+        for (let dir = path.dirname(relativePath); dir !== '.' && !directories.has(dir); dir = path.dirname(dir)) {
+            directories.add(dir);
+        }
+    }
+
+    const contents = new Map(); // sha -> Buffer
+    const prefetch = (relativePaths) => {
+        const missing = [...new Set(relativePaths.map(relativePath => blobs.get(relativePath)).filter(sha => sha && !contents.has(sha)))];
+        if (missing.length === 0) return;
+        parseCatFileBatch(git(repo, ['cat-file', '--batch'], locale, missing.join('\n') + '\n'), locale).forEach((content, sha) => contents.set(sha, content));
+    };
+    const readFile = (relativePath) => {
+        const sha = blobs.get(relativePath);
+        if (!sha) {
+            throw Object.assign(new Error(formatMessage(locale, 'tree.fileMissing', { path: relativePath, ref })), { code: 'ENOENT' });
+        }
+        prefetch([relativePath]);
+        return contents.get(sha);
+    };
+
+    return {
+        label: `${ref} (${commit.slice(0, 12)}:${gitRoot})`,
+        commit,
+        listFiles: () => [...blobs.keys()],
+        exists: relativePath => blobs.has(relativePath) || directories.has(relativePath),
+        readFile,
+        readText: relativePath => readFile(relativePath).toString('utf8'),
+        prefetch
+    };
+};
+
+const GIT_STATUSES = { A: 'added', M: 'modified', T: 'modified', D: 'deleted', R: 'renamed', C: 'added' };
+
+/**
+ * Arquivos adicionados, alterados, removidos e renomeados entre dois commits, só dentro da raiz
+ * dos metadados ("git diff --name-status -M").
+ *
+ * @param {{repo: string, from: string, to: string, root?: string, locale?: string}} options Como no
+ *        createGitTree; locale é o idioma dos erros.
+ * @returns {Array<{status: string, path: string, oldPath?: string}>} Caminhos relativos à raiz.
+ */
+const listGitChanges = ({ repo, from, to, root = 'force-app/main/default', locale = DEFAULT_LOCALE }) => {
+    const gitRoot = path.posix.normalize(root).replace(/\/$/, '');
+    const fields = git(repo, ['diff', '--name-status', '-z', '-M', resolveCommit(repo, from, locale), resolveCommit(repo, to, locale), '--', gitRoot], locale)
+        .toString().split('\0').filter(Boolean);
+
+    const changes = [];
+    for (let i = 0; i < fields.length;) {
+        const code = fields[i++][0];
+        const status = GIT_STATUSES[code];
+        if (code === 'R' || code === 'C') {
+            const oldPath = toRelativePath(fields[i++], gitRoot);
+            const newPath = toRelativePath(fields[i++], gitRoot);
+            changes.push(code === 'R' ? { status, path: newPath, oldPath } : { status, path: newPath });
+            continue;
+        }
+        const changedPath = toRelativePath(fields[i++], gitRoot);
+        if (status) changes.push({ status, path: changedPath });
+    }
+    return changes;
+};
+
+module.exports = { createDirectoryTree, createIndexedDirectoryTree, createGitTree, listGitChanges };
@@ -0,0 +1,155 @@
+/**
+ * metadataTypes.js
+ *
+ * Mapeia caminhos do formato source (force-app/main/default) para o tipo de
+ * metadado e o nome do membro usados em package.xml / destructiveChanges.xml.
+ */
+const path = require('path');
+
+// Pastas de primeiro nível conhecidas.
+// - suffix: extensão do arquivo do componente (sem o "-meta.xml")
+// - bundle: o componente é uma pasta inteira (lwc/aura/experiences/static resources expandidos)
+// - folderSuffix: tipo organizado em pastas (reports, dashboards, email, documents)
+const METADATA_TYPES = {
+    applications: { type: 'CustomApplication', suffix: 'app' },
+    approvalProcesses: { type: 'ApprovalProcess', suffix: 'approvalProcess' },
+    assignmentRules: { type: 'AssignmentRules', suffix: 'assignmentRules' },
+    aura: { type: 'AuraDefinitionBundle', bundle: true },
+    classes: { type: 'ApexClass', suffix: 'cls' },
+    components: { type: 'ApexComponent', suffix: 'component' },
+    contentassets: { type: 'ContentAsset', suffix: 'asset' },
+    customMetadata: { type: 'CustomMetadata', suffix: 'md' },
+    customNotificationTypes: { type: 'CustomNotificationType', suffix: 'notiftype' },
+    customPermissions: { type: 'CustomPermission', suffix: 'customPermission' },
+    dashboards: { type: 'Dashboard', suffix: 'dashboard', folderSuffix: 'dashboardFolder' },
+    documents: { type: 'Document', suffix: 'document', folderSuffix: 'documentFolder' },
+    email: { type: 'EmailTemplate', suffix: 'email', folderSuffix: 'emailFolder' },
+    experiences: { type: 'ExperienceBundle', suffix: 'site', bundle: true },
+    flexipages: { type: 'FlexiPage', suffix: 'flexipage' },
+    flowDefinitions: { type: 'FlowDefinition', suffix: 'flowDefinition' },
+    flows: { type: 'Flow', suffix: 'flow' },
+    globalValueSets: { type: 'GlobalValueSet', suffix: 'globalValueSet' },
+    groups: { type: 'Group', suffix: 'group' },
+    labels: { type: 'CustomLabels', suffix: 'labels' },
+    layouts: { type: 'Layout', suffix: 'layout' },
+    letterhead: { type: 'Letterhead', suffix: 'letter' },
+    lwc: { type: 'LightningComponentBundle', bundle: true },
+    namedCredentials: { type: 'NamedCredential', suffix: 'namedCredential' },
+    objects: { type: 'CustomObject', suffix: 'object' },
+    objectTranslations: { type: 'CustomObjectTranslation', suffix: 'objectTranslation' },
+    pages: { type: 'ApexPage', suffix: 'page' },
+    permissionsetgroups: { type: 'PermissionSetGroup', suffix: 'permissionsetgroup' },
+    permissionsets: { type: 'PermissionSet', suffix: 'permissionset' },
+    profiles: { type: 'Profile', suffix: 'profile' },
+    queueRoutingConfigs: { type: 'QueueRoutingConfig', suffix: 'queueRoutingConfig' },
+    queues: { type: 'Queue', suffix: 'queue' },
+    quickActions: { type: 'QuickAction', suffix: 'quickAction' },
+    remoteSiteSettings: { type: 'RemoteSiteSetting', suffix: 'remoteSite' },
+    reports: { type: 'Report', suffix: 'report', folderSuffix: 'reportFolder' },
+    roles: { type: 'Role', suffix: 'role' },
+    sharingRules: { type: 'SharingRules', suffix: 'sharingRules' },
+    standardValueSets: { type: 'StandardValueSet', suffix: 'standardValueSet' },
+    staticresources: { type: 'StaticResource', suffix: 'resource', bundle: true },
+    tabs: { type: 'CustomTab', suffix: 'tab' },
+    triggers: { type: 'ApexTrigger', suffix: 'trigger' },
+    workflows: { type: 'Workflow', suffix: 'workflow' }
+};
+
+// Subpastas de objects/<Objeto>/ que são tipos próprios (membro = Objeto.Nome).
+const OBJECT_CHILD_TYPES = {
+    businessProcesses: { type: 'BusinessProcess', suffix: 'businessProcess' },
+    compactLayouts: { type: 'CompactLayout', suffix: 'compactLayout' },
+    fieldSets: { type: 'FieldSet', suffix: 'fieldSet' },
+    fields: { type: 'CustomField', suffix: 'field' },
+    indexes: { type: 'Index', suffix: 'index' },
+    listViews: { type: 'ListView', suffix: 'listView' },
+    recordTypes: { type: 'RecordType', suffix: 'recordType' },
+    sharingReasons: { type: 'SharingReason', suffix: 'sharingReason' },
+    validationRules: { type: 'ValidationRule', suffix: 'validationRule' },
+    webLinks: { type: 'WebLink', suffix: 'webLink' }
+};
+
+// O deployPlan.json usa grafias como 'flexiPages', 'Roles' e 'SharingRules'; a busca ignora maiúsculas.
+const findKey = (map, name) => Object.keys(map).find(key => key.toLowerCase() === name.toLowerCase());
+
+const stripSuffix = (fileName, suffix) => {
+    const baseName = fileName.replace(/-meta\.xml$/, '');
+    if (suffix && baseName.endsWith(`.${suffix}`)) return baseName.slice(0, -(suffix.length + 1));
+    // Arquivos de conteúdo (ex.: staticresources/logo.png) carregam a extensão do mime type.
+    const extIndex = baseName.lastIndexOf('.');
+    return extIndex > 0 ? baseName.slice(0, extIndex) : baseName;
+};
+
+const resolveObjectComponent = (parts) => {
+    const objectName = parts[1];
+    const objectPath = ['objects', objectName, `${objectName}.object-meta.xml`].join(path.sep);
+    if (parts.length === 3) {
+        return { type: 'CustomObject', member: objectName, path: objectPath };
+    }
+
+    const childKey = findKey(OBJECT_CHILD_TYPES, parts[2]);
+    if (!childKey || parts.length !== 4) return null;
+    const { type, suffix } = OBJECT_CHILD_TYPES[childKey];
+    return {
+        type,
+        member: `${objectName}.${stripSuffix(parts[3], suffix)}`,
+        parent: { type: 'CustomObject', member: objectName, path: objectPath }
+    };
+};
+
+/**
+ * Resolve o componente de metadado ao qual um arquivo pertence.
+ *
+ * @param {string} relativePath Caminho relativo a force-app/main/default.
+ * @returns {{type: string, member: string, folder: string, bundleDir?: string, parent?: object}|null}
+ *          null quando a pasta não é um tipo conhecido ou o arquivo está solto numa pasta de bundles.
+ */
+const resolveComponent = (relativePath) => {
+    const parts = relativePath.split(/[\\/]/).filter(Boolean);
+    const folder = parts.length > 1 && findKey(METADATA_TYPES, parts[0]);
+    if (!folder) return null;
+
+    if (folder === 'objects') {
+        const component = resolveObjectComponent(parts);
+        return component && { ...component, folder };
+    }
+
+    const { type, suffix, bundle, folderSuffix } = METADATA_TYPES[folder];
+    if (bundle) {
+        // Arquivo solto que não pertence a nenhum bundle (lwc/jsconfig.json, lwc/.eslintrc.json).
+        if (!bundleKey(relativePath)) return null;
+        if (parts.length > 2) return { type, member: parts[1], folder, bundleDir: parts.slice(0, 2).join(path.sep) };
+    }
+
+    if (folderSuffix) {
+        // reports/Pasta.reportFolder-meta.xml => membro "Pasta"; reports/Pasta/Nome.report-meta.xml => "Pasta/Nome"
+        if (parts.length === 2) return { type, member: stripSuffix(parts[1], folderSuffix), folder };
+        return { type, member: `${parts.slice(1, -1).join('/')}/${stripSuffix(parts[parts.length - 1], suffix)}`, folder };
+    }
+
+    return { type, member: stripSuffix(parts[1], suffix), folder };
+};
+
+const componentKey = ({ type, member }) => `${type}:${member}`;
+
+/**
+ * Bundle ao qual o arquivo pertence: componentes que sobem como unidade, a pasta inteira
+ * (lwc, aura, experiences, staticresources expandidos) mais o -meta.xml ao lado dela, quando
+ * o tipo tem um (X.resource-meta.xml, X.site-meta.xml). Static resources de um arquivo só
+ * (X.zip + X.resource-meta.xml) também são um bundle.
+ *
+ * @param {string} relativePath Caminho relativo a force-app/main/default.
+ * @returns {string|null} "pasta/nome" (separador do sistema), ou null fora de um bundle.
+ */
+const bundleKey = (relativePath) => {
+    const parts = relativePath.split(/[\\/]/).filter(Boolean);
+    const folder = parts.length > 1 && findKey(METADATA_TYPES, parts[0]);
+    if (!folder || !METADATA_TYPES[folder].bundle) return null;
+    if (parts.length > 2) return [folder, parts[1]].join(path.sep);
+    // Arquivo solto na pasta: só tipos com -meta.xml próprio (lwc/jsconfig.json não é bundle).
+    // Nomes de static resource e site não têm ponto, então o nome é o que vem antes do primeiro.
+    const name = parts[1].split('.')[0];
+    return METADATA_TYPES[folder].suffix && name ? [folder, name].join(path.sep) : null;
+};
+
+module.exports = { METADATA_TYPES, OBJECT_CHILD_TYPES, resolveComponent, componentKey, bundleKey };
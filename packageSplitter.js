@@ -0,0 +1,95 @@
+/**
+ * packageSplitter.js
+ *
+ * A Metadata API recusa deploys com mais de 10.000 arquivos, ~39 MB zipados ou 400 MB
+ * descompactados. O draft.js mede cada onda depois de montada e, se ela passar de algum limite,
+ * reparte os arquivos em sub-pacotes (package3_1, package3_2...) que sobem em sequência.
+ * Bundles (lwc, aura, static resources, experiences), os filhos de um objeto e o par
+ * arquivo/-meta.xml nunca são separados.
+ */
+const path = require('path');
+const zlib = require('zlib');
+const { bundleKey } = require('./metadataTypes');
+
+// maxFiles conta também o package.xml que o sf gera para o pacote.
+const PACKAGE_LIMITS = {
+    maxFiles: 10000,
+    maxZippedBytes: 39 * 1024 * 1024,
+    maxUnzippedBytes: 400 * 1024 * 1024
+};
+
+// Pastas decompostas por objeto: objects/<Objeto>/... e objectTranslations/<Objeto-idioma>/...
+const OBJECT_FOLDERS = ['objects', 'objectTranslations'];
+
+/**
+ * Unidade indivisível de um arquivo do pacote: o bundle, o objeto ou o componente (sem -meta.xml).
+ *
+ * @param {string} relativePath Caminho relativo à raiz dos metadados.
+ * @returns {string}
+ */
+const packagingUnit = (relativePath) => {
+    const parts = relativePath.split(/[\\/]/);
+    if (OBJECT_FOLDERS.includes(parts[0]) && parts.length > 2) return parts.slice(0, 2).join(path.sep);
+    return bundleKey(relativePath) ?? relativePath.replace(/-meta\.xml$/, '');
+};
+
+// Bytes do arquivo no zip: conteúdo comprimido mais os cabeçalhos local (30) e central (46), cada um
+// com o nome. A compressão mais rápida comprime menos, então a estimativa fica do lado seguro.
+const zippedSize = (relativePath, content) =>
+    zlib.deflateRawSync(content, { level: zlib.constants.Z_BEST_SPEED }).length + 76 + 2 * Buffer.byteLength(relativePath);
+
+/**
+ * Tamanho de um arquivo do pacote.
+ *
+ * @param {string} relativePath
+ * @param {Buffer} content
+ * @returns {{path: string, unzipped: number, zipped: number}}
+ */
+const measureFile = (relativePath, content) => ({ path: relativePath, unzipped: content.length, zipped: zippedSize(relativePath, content) });
+
+const emptyPart = () => ({ paths: [], files: 0, unzipped: 0, zipped: 0 });
+const fits = (part, unit, limits) => part.files + unit.files + 1 <= limits.maxFiles
+    && part.zipped + unit.zipped <= limits.maxZippedBytes
+    && part.unzipped + unit.unzipped <= limits.maxUnzippedBytes;
+
+/**
+ * Reparte os arquivos de um pacote em partes dentro dos limites, na ordem dos caminhos.
+ *
+ * @param {Array<{path: string, unzipped: number, zipped: number}>} files Medidas (measureFile).
+ * @param {object} [limits=PACKAGE_LIMITS] Qualquer campo omitido usa o padrão.
+ * @returns {{parts: Array<{paths: string[], files: number, unzipped: number, zipped: number}>, oversized: Array<{unit: string, files: number, unzipped: number, zipped: number}>}}
+ *          Uma parte só quando o pacote cabe inteiro; oversized lista as unidades que sozinhas
+ *          passam dos limites (elas ficam numa parte própria e o deploy dela vai falhar).
+ */
+const splitPackage = (files, limits = PACKAGE_LIMITS) => {
+    const effectiveLimits = { ...PACKAGE_LIMITS, ...limits };
+    const units = new Map();
+    [...files].sort((a, b) => a.path.localeCompare(b.path)).forEach((file) => {
+        const key = packagingUnit(file.path);
+        const unit = units.get(key) ?? { unit: key, paths: [], files: 0, unzipped: 0, zipped: 0 };
+        unit.paths.push(file.path);
+        unit.files += 1;
+        unit.unzipped += file.unzipped;
+        unit.zipped += file.zipped;
+        units.set(key, unit);
+    });
+
+    const parts = [emptyPart()];
+    const oversized = [];
+    for (const unit of units.values()) {
+        const alone = fits(emptyPart(), unit, effectiveLimits);
+        alone || oversized.push({ unit: unit.unit, files: unit.files, unzipped: unit.unzipped, zipped: unit.zipped });
+        let part = parts[parts.length - 1];
+        if (part.files > 0 && (!alone || !fits(part, unit, effectiveLimits))) {
+            part = emptyPart();
+            parts.push(part);
+        }
+        part.paths.push(...unit.paths);
+        part.files += unit.files;
+        part.unzipped += unit.unzipped;
+        part.zipped += unit.zipped;
+    }
+    return { parts, oversized };
+};
+
+module.exports = { PACKAGE_LIMITS, packagingUnit, measureFile, splitPackage };
@@ -0,0 +1,89 @@
+/**
+ * permissionsFilter.js
+ *
+ * Profiles e PermissionSets citam campos, objetos, classes, páginas, tabs, record types...
+ * Uma referência a algo que não existe no destino derruba o deploy inteiro; este filtro remove
+ * só as entradas cujo componente não sobe neste deploy nem existe no destino, e diz o porquê.
+ * Componentes padrão (Account, standard-Account, standard__Sales) e de pacotes gerenciados
+ * (ns__Objeto__c) não são verificados: eles não aparecem nos arquivos do destino.
+ */
+const path = require('path');
+const convert = require('xml-js');
+
+const textOf = (elem) => {
+    const node = elem?.elements?.find(child => child.type === 'text' || child.type === 'cdata');
+    return node?.[node.type];
+};
+const childText = (elem, name) => textOf(elem.elements?.find(child => child.name === name));
+
+// ns__Objeto__c, ns__Campo__c: vem de um pacote instalado.
+const isManaged = name => (name.match(/__/g) ?? []).length >= 2;
+const isCustomObject = name => /__(c|mdt|e|b|x)$/.test(name) && !isManaged(name);
+const objectFile = objectName => isCustomObject(objectName) ? path.join('objects', objectName, `${objectName}.object-meta.xml`) : null;
+const metaFile = (folder, suffix) => name => isManaged(name) ? null : path.join(folder, `${name}.${suffix}-meta.xml`);
+
+// Campo padrão de objeto customizado (Obj__c.Name) depende só do objeto.
+const fieldFile = (member) => {
+    const [objectName, fieldName] = member.split('.');
+    if (!fieldName?.endsWith('__c')) return objectFile(objectName);
+    return isManaged(fieldName) || isManaged(objectName) ? null : path.join('objects', objectName, 'fields', `${fieldName}.field-meta.xml`);
+};
+const recordTypeFile = (member) => {
+    const [objectName, recordTypeName] = member.split('.');
+    return isManaged(objectName) ? null : path.join('objects', objectName, 'recordTypes', `${recordTypeName}.recordType-meta.xml`);
+};
+
+// elemento -> filho com o nome do componente e o arquivo dele (null = padrão, sempre disponível).
+const PERMISSION_ENTRIES = {
+    fieldPermissions: { child: 'field', file: fieldFile },
+    objectPermissions: { child: 'object', file: objectFile },
+    classAccesses: { child: 'apexClass', file: name => name.includes('.') ? null : path.join('classes', `${name}.cls`) },
+    pageAccesses: { child: 'apexPage', file: name => name.includes('__') ? null : path.join('pages', `${name}.page`) },
+    tabSettings: { child: 'tab', file: name => name.startsWith('standard-') ? null : metaFile('tabs', 'tab')(name) },
+    tabVisibilities: { child: 'tab', file: name => name.startsWith('standard-') ? null : metaFile('tabs', 'tab')(name) },
+    recordTypeVisibilities: { child: 'recordType', file: recordTypeFile },
+    layoutAssignments: { child: 'layout', file: metaFile('layouts', 'layout'), extra: { child: 'recordType', file: recordTypeFile } },
+    applicationVisibilities: { child: 'application', file: name => name.startsWith('standard__') ? null : metaFile('applications', 'app')(name) },
+    customPermissions: { child: 'name', file: metaFile('customPermissions', 'customPermission') },
+    customMetadataTypeAccesses: { child: 'name', file: objectFile },
+    customSettingAccesses: { child: 'name', file: objectFile },
+    flowAccesses: { child: 'flow', file: metaFile('flows', 'flow') }
+};
+
+const isPermissionsFile = relativePath => ['profiles', 'permissionsets'].includes(relativePath.split(/[\\/]/)[0]) && relativePath.endsWith('-meta.xml');
+
+/**
+ * Remove as entradas que apontam para componentes indisponíveis.
+ *
+ * @param {string} xml Conteúdo do Profile/PermissionSet.
+ * @param {function(string): boolean} isAvailable Se o arquivo (caminho relativo) sobe neste
+ *        deploy ou já existe no destino.
+ * @returns {{xml: string|null, dropped: Array<{element: string, member: string, missing: string}>}}
+ *          O novo conteúdo (null se nada foi removido) e cada entrada removida.
+ * @throws {Error} Se o XML for inválido.
+ */
+const filterPermissions = (xml, isAvailable) => {
+    const xmlObj = convert.xml2js(xml, { compact: false });
+    const rootElem = xmlObj.elements.find(elem => elem.type === 'element');
+    const dropped = [];
+    const missingFile = (elem, { child, file }) => {
+        const member = childText(elem, child);
+        const relativePath = member && file(member);
+        return relativePath && !isAvailable(relativePath) ? { member, missing: relativePath } : null;
+    };
+
+    rootElem.elements = (rootElem.elements ?? []).filter((elem) => {
+        const entry = PERMISSION_ENTRIES[elem.name];
+        if (!entry) return true;
+        const missing = missingFile(elem, entry) ?? (entry.extra && missingFile(elem, entry.extra));
+        if (!missing) return true;
+        dropped.push({ element: elem.name, member: childText(elem, entry.child), missing: missing.missing });
+        return false;
+    });
+    return {
+        xml: dropped.length > 0 ? convert.js2xml(xmlObj, { compact: false, spaces: 4 }) + '\n' : null,
+        dropped
+    };
+};
+
+module.exports = { PERMISSION_ENTRIES, isPermissionsFile, filterPermissions };
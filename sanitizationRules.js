@@ -0,0 +1,242 @@
+/**
+ * sanitizationRules.js
+ *
+ * Regras de sanitização declarativas (sanitizationRules.json): cada regra casa arquivos do
+ * news por glob e aplica ações no XML. O draft.js só decide o que fazer com o resultado
+ * (gravar, descartar, logar, guardar o estado original para a reativação).
+ *
+ * Formato:
+ * {
+ *   "rules": [{
+ *     "name": "flowOffset",              // identifica a regra nos logs e no resumo
+ *     "match": "flows/**",               // glob do caminho relativo (ou lista de globs)
+ *     "onlyWith": "inactivate",          // opcional: só roda com a flag --inactivate
+ *     "log": { "pt-BR": "Elementos <offset> removidos", "en": "<offset> elements removed" },
+ *     "actions": [
+ *       { "type": "dropFile" },                                        // o arquivo não sobe
+ *       { "type": "removeElement", "element": "offset", "where": {...} }, // remove em qualquer nível
+ *       { "type": "setValue", "element": "status", "value": "Draft",     // filho direto da raiz
+ *         "from": "Active", "required": true },
+ *       { "type": "keepOnly", "elements": ["label"] }                   // filhos diretos da raiz
+ *     ]
+ *   }]
+ * }
+ *
+ * "log" é um texto (qualquer idioma) ou um texto por idioma (--lang); sem ele, ou sem o idioma da
+ * execução, vale a mensagem padrão do catálogo (messages.js).
+ * removeElement/setValue aceitam "recordOriginalState": "<tipo>" para guardar o valor anterior
+ * (subcomando reactivate). "where" filtra os elementos removidos pelo texto de um filho:
+ * { "anyOf": [{ "child": "type", "notIn": ["Default"] }, { "child": "actionName", "in": [...] }] }.
+ */
+const fs = require('fs-extra');
+const { DEFAULT_LOCALE, LOCALES, formatMessage } = require('./messages');
+const { globToRegExp } = require('./glob');
+
+const ACTION_TYPES = ['dropFile', 'removeElement', 'setValue', 'keepOnly'];
+const FLAGS = ['inactivate'];
+
+// Texto (ou CDATA) de um elemento do xml-js.
+const textOf = (elem) => {
+    const node = elem?.elements?.find(child => child.type === 'text' || child.type === 'cdata');
+    return node?.[node.type];
+};
+
+const rootElementOf = xmlObj => xmlObj?.elements?.find(elem => elem.type === 'element');
+
+// Texto de um descendente (o primeiro com o nome dado), para o "where".
+const descendantText = (elem, name) => {
+    for (const child of elem.elements ?? []) {
+        if (child.name === name) return textOf(child);
+        const found = descendantText(child, name);
+        if (found !== undefined) return found;
+    }
+    return undefined;
+};
+
+const matchesCondition = (elem, { child, in: values, notIn }) => {
+    const text = descendantText(elem, child);
+    if (text === undefined) return false;
+    return values ? values.includes(text) : !notIn.includes(text);
+};
+
+const matchesWhere = (elem, where) => !where || where.anyOf.some(condition => matchesCondition(elem, condition));
+
+// Remove os elementos em qualquer nível; devolve os removidos.
+const removeMatching = (parent, name, where) => {
+    if (!parent?.elements) return [];
+    const removed = [];
+    parent.elements = parent.elements.filter(elem => {
+        if (elem.name === name && matchesWhere(elem, where)) {
+            removed.push(elem);
+            return false;
+        }
+        removed.push(...removeMatching(elem, name, where));
+        return true;
+    });
+    return removed;
+};
+
+const validateAction = (prefix, action, t) => {
+    const errors = [];
+    if (!ACTION_TYPES.includes(action?.type)) {
+        return [t('rules.invalidActionType', { prefix, value: action?.type, allowed: ACTION_TYPES })];
+    }
+    if (['removeElement', 'setValue'].includes(action.type) && typeof action.element !== 'string') {
+        errors.push(t('rules.elementRequired', { prefix, type: action.type }));
+    }
+    if (action.type === 'setValue' && typeof action.value !== 'string') {
+        errors.push(t('rules.valueRequired', { prefix }));
+    }
+    if (action.type === 'keepOnly' && !(Array.isArray(action.elements) && action.elements.length > 0)) {
+        errors.push(t('rules.keepOnlyElements', { prefix }));
+    }
+    if (action.where !== undefined) {
+        const conditions = action.where?.anyOf;
+        if (!Array.isArray(conditions) || conditions.some(cond => typeof cond?.child !== 'string' || !Array.isArray(cond.in ?? cond.notIn))) {
+            errors.push(t('rules.invalidWhere', { prefix }));
+        }
+    }
+    return errors;
+};
+
+// "log": texto ou { "<idioma>": texto } com idiomas do catálogo.
+const isValidLog = log => log === undefined || typeof log === 'string'
+    || (typeof log === 'object' && log !== null && !Array.isArray(log)
+        && Object.entries(log).every(([locale, text]) => LOCALES.includes(locale) && typeof text === 'string'));
+
+const validateRule = (rule, index, names, t) => {
+    const prefix = t('rules.rule', { rule: rule?.name ?? `#${index + 1}` });
+    const errors = [];
+    if (typeof rule?.name !== 'string' || rule.name === '') errors.push(t('rules.nameRequired', { prefix }));
+    else if (names.indexOf(rule.name) !== index) errors.push(t('rules.duplicateName', { prefix }));
+    const globs = [].concat(rule?.match ?? []);
+    if (globs.length === 0 || globs.some(glob => typeof glob !== 'string')) errors.push(t('rules.invalidMatch', { prefix }));
+    if (rule?.onlyWith !== undefined && !FLAGS.includes(rule.onlyWith)) errors.push(t('rules.invalidOnlyWith', { prefix, value: rule.onlyWith, allowed: FLAGS }));
+    if (!isValidLog(rule?.log)) errors.push(t('rules.invalidLog', { prefix, allowed: LOCALES }));
+    if (!Array.isArray(rule?.actions) || rule.actions.length === 0) {
+        errors.push(t('rules.actionsRequired', { prefix }));
+    } else {
+        rule.actions.forEach((action, actionIndex) => errors.push(...validateAction(t('rules.action', { rule: prefix, index: actionIndex + 1 }), action, t)));
+    }
+    return errors;
+};
+
+/**
+ * Lê e valida as regras de sanitização.
+ *
+ * @param {string} rulesFile Caminho do sanitizationRules.json.
+ * @param {string} [locale='pt-BR'] Idioma das mensagens de erro (messages.js).
+ * @returns {Array<{name: string, log?: string|Object<string, string>, onlyWith?: string, patterns: RegExp[], actions: object[]}>} Regras na ordem do arquivo.
+ * @throws {Error} Com todos os problemas encontrados no arquivo.
+ */
+const loadSanitizationRules = (rulesFile, locale = DEFAULT_LOCALE) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    if (!fs.existsSync(rulesFile)) {
+        throw new Error(t('errors.fileMissing', { file: rulesFile }));
+    }
+    const { rules } = fs.readJsonSync(rulesFile);
+    if (!Array.isArray(rules)) {
+        throw new Error(t('rules.listMissing', { file: rulesFile }));
+    }
+    const names = rules.map(rule => rule?.name);
+    const errors = rules.flatMap((rule, index) => validateRule(rule, index, names, t));
+    if (errors.length > 0) {
+        throw new Error(t('rules.invalid', { file: rulesFile, errors }));
+    }
+    return rules.map(rule => ({
+        name: rule.name,
+        description: rule.description,
+        log: rule.log,
+        onlyWith: rule.onlyWith,
+        patterns: [].concat(rule.match).map(globToRegExp),
+        actions: rule.actions
+    }));
+};
+
+// Aplica uma ação; devolve se mudou algo e o valor anterior (para recordOriginalState).
+const applyAction = (action, xmlObj, relativePath, locale) => {
+    const rootElem = rootElementOf(xmlObj);
+    switch (action.type) {
+        case 'removeElement': {
+            const removed = removeMatching(xmlObj, action.element, action.where);
+            return { modified: removed.length > 0, previousValue: textOf(removed[0]) };
+        }
+        case 'setValue': {
+            const elem = rootElem?.elements?.find(child => child.name === action.element);
+            if (!elem) {
+                if (action.required) throw new Error(formatMessage(locale, 'rules.missingElement', { element: action.element, path: relativePath }));
+                return { modified: false };
+            }
+            const previousValue = textOf(elem);
+            if (previousValue === action.value || (action.from !== undefined && previousValue !== action.from)) {
+                return { modified: false };
+            }
+            elem.elements = [{ type: 'text', text: action.value }];
+            return { modified: true, previousValue };
+        }
+        case 'keepOnly': {
+            const before = rootElem?.elements?.length ?? 0;
+            if (rootElem?.elements) rootElem.elements = rootElem.elements.filter(child => child.type !== 'element' || action.elements.includes(child.name));
+            return { modified: (rootElem?.elements?.length ?? 0) !== before };
+        }
+        default:
+            return { modified: false };
+    }
+};
+
+/**
+ * Texto do log de uma regra no idioma pedido: o "log" da regra (texto único ou o do idioma) ou a
+ * mensagem padrão do catálogo.
+ *
+ * @param {{name: string, log?: string|Object<string, string>}} rule Regra carregada por loadSanitizationRules.
+ * @param {string} [locale='pt-BR']
+ * @returns {string}
+ */
+const ruleLog = ({ name, log }, locale = DEFAULT_LOCALE) =>
+    (typeof log === 'string' ? log : log?.[locale]) ?? formatMessage(locale, 'sanitize.ruleApplied', { rule: name });
+
+/**
+ * Regras que se aplicam a um arquivo, respeitando o onlyWith.
+ *
+ * @param {object[]} rules Regras carregadas por loadSanitizationRules.
+ * @param {string} relativePath Caminho relativo (qualquer separador).
+ * @param {{inactivate?: boolean}} [flags]
+ */
+const rulesFor = (rules, relativePath, flags = {}) => {
+    const posixPath = relativePath.split(/[\\/]/).join('/');
+    return rules.filter(rule => (!rule.onlyWith || flags[rule.onlyWith]) && rule.patterns.some(pattern => pattern.test(posixPath)));
+};
+
+// dropFile vale para qualquer arquivo, inclusive os que não são XML.
+const dropsFile = (rules, relativePath, flags) => rulesFor(rules, relativePath, flags)
+    .find(rule => rule.actions.some(action => action.type === 'dropFile')) ?? null;
+
+/**
+ * Aplica as regras (exceto dropFile, ver dropsFile) a um XML já convertido pelo xml-js, alterando-o.
+ *
+ * @param {object[]} rules Regras carregadas por loadSanitizationRules.
+ * @param {string} relativePath Caminho relativo do arquivo.
+ * @param {object} xmlObj XML do xml-js (compact: false).
+ * @param {{inactivate?: boolean}} [flags]
+ * @param {string} [locale='pt-BR'] Idioma do erro do setValue "required".
+ * @returns {{modified: boolean, fired: object[], originalStates: Array<{type: string, value: string}>}}
+ *          Regras que mudaram algo, na ordem do arquivo, e os estados originais a guardar.
+ * @throws {Error} Se um setValue "required" não achar o elemento.
+ */
+const applySanitizationRules = (rules, relativePath, xmlObj, flags, locale = DEFAULT_LOCALE) => {
+    const fired = [];
+    const originalStates = [];
+    for (const rule of rulesFor(rules, relativePath, flags)) {
+        let ruleModified = false;
+        for (const action of rule.actions.filter(({ type }) => type !== 'dropFile')) {
+            const { modified, previousValue } = applyAction(action, xmlObj, relativePath, locale);
+            if (!modified) continue;
+            ruleModified = true;
+            if (action.recordOriginalState) originalStates.push({ type: action.recordOriginalState, value: previousValue });
+        }
+        ruleModified && fired.push(rule);
+    }
+    return { modified: fired.length > 0, fired, originalStates };
+};
+
+module.exports = { loadSanitizationRules, ruleLog, dropsFile, applySanitizationRules };
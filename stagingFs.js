@@ -0,0 +1,127 @@
+/**
+ * stagingFs.js
+ *
+ * Tudo o que o pipeline grava (deploy-staging, specifiedTests.txt, deployCommands.txt, changes.*)
+ * passa por aqui. No modo normal é o próprio fs-extra; no --dryRun os arquivos ficam em memória
+ * e o disco só é lido (origem e destino), nunca escrito.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+
+// Arquivos de um diretório do disco, recursivamente.
+const listDiskFiles = (dirPath, files = []) => {
+    if (!fs.existsSync(dirPath)) return files;
+    fs.readdirSync(dirPath).forEach(file => {
+        const fullPath = path.join(dirPath, file);
+        if (fs.statSync(fullPath).isDirectory()) return listDiskFiles(fullPath, files);
+        files.push(fullPath);
+    });
+    return files;
+};
+
+const notFound = filePath => Object.assign(new Error(`ENOENT: no such file or directory, '${filePath}'`), { code: 'ENOENT' });
+
+/**
+ * Sistema de arquivos em memória com o subconjunto do fs-extra usado pelo pipeline.
+ * Cópias vindas do disco guardam só o caminho de origem e são lidas sob demanda.
+ */
+const createMemoryFs = () => {
+    const files = new Map(); // caminho absoluto -> { content } | { from }
+    let directories = null; // índice dos diretórios, refeito só quando algo mudou
+    const touch = () => { directories = null; };
+    const isDirectory = dirPath => {
+        if (!directories) {
+            directories = new Set();
+            for (const file of files.keys()) {
+                for (let dir = path.dirname(file); !directories.has(dir) && dir !== path.dirname(dir); dir = path.dirname(dir)) {
+                    directories.add(dir);
+                }
+            }
+        }
+        return directories.has(path.resolve(dirPath));
+    };
+    const filesUnder = dirPath => {
+        const prefix = path.resolve(dirPath) + path.sep;
+        return [...files.keys()].filter(file => file.startsWith(prefix)).sort();
+    };
+
+    const existsSync = filePath => files.has(path.resolve(filePath)) || isDirectory(filePath);
+    const readFileSync = (filePath, encoding) => {
+        const entry = files.get(path.resolve(filePath));
+        if (!entry) throw notFound(filePath);
+        const content = entry.from ? fs.readFileSync(entry.from) : Buffer.from(entry.content);
+        return encoding ? content.toString(encoding) : content;
+    };
+    const outputFileSync = (filePath, content) => {
+        files.set(path.resolve(filePath), { content });
+        touch();
+    };
+    const copySync = (src, dest) => {
+        touch();
+        const source = path.resolve(src);
+        const target = path.resolve(dest);
+        if (files.has(source)) {
+            files.set(target, files.get(source));
+            return;
+        }
+        const memoryFiles = filesUnder(source);
+        if (memoryFiles.length > 0) {
+            memoryFiles.forEach(file => files.set(path.join(target, path.relative(source, file)), files.get(file)));
+            return;
+        }
+        if (!fs.existsSync(source)) throw notFound(src);
+        if (!fs.statSync(source).isDirectory()) {
+            files.set(target, { from: source });
+            return;
+        }
+        listDiskFiles(source).forEach(file => files.set(path.join(target, path.relative(source, file)), { from: file }));
+    };
+    const removeSync = filePath => {
+        touch();
+        files.delete(path.resolve(filePath));
+        filesUnder(filePath).forEach(file => files.delete(file));
+    };
+
+    // Versões assíncronas com a mesma assinatura do fs-extra.
+    const async = fn => (...args) => {
+        try {
+            return Promise.resolve(fn(...args));
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    };
+    const writeJsonSync = (filePath, data, { spaces } = {}) => outputFileSync(filePath, JSON.stringify(data, null, spaces) + '\n');
+
+    return {
+        inMemory: true,
+        existsSync,
+        readFileSync,
+        readFile: async(readFileSync),
+        readJson: async(filePath => JSON.parse(readFileSync(filePath, 'utf8'))),
+        writeFileSync: outputFileSync,
+        writeFile: async(outputFileSync),
+        outputFile: async(outputFileSync),
+        writeJson: async(writeJsonSync),
+        copy: async(copySync),
+        remove: async(removeSync),
+        unlink: async(removeSync),
+        ensureDir: async(() => { }),
+        listFiles: filesUnder,
+        // Caminho -> tamanho, para o plano do --dryRun.
+        snapshot: () => [...files.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([file, entry]) => ({
+            path: file,
+            size: entry.from ? fs.statSync(entry.from).size : Buffer.byteLength(entry.content)
+        }))
+    };
+};
+
+// O fs-extra com as mesmas extensões da versão em memória.
+const createDiskFs = () => Object.assign(Object.create(fs), { inMemory: false, listFiles: dirPath => listDiskFiles(dirPath) });
+
+/**
+ * @param {{dryRun?: boolean}} [options]
+ * @returns {object} fs-extra (ou a versão em memória, no dryRun) com listFiles(dir).
+ */
+const createStagingFs = ({ dryRun = false } = {}) => dryRun ? createMemoryFs() : createDiskFs();
+
+module.exports = { createStagingFs, listDiskFiles };
@@ -0,0 +1,108 @@
+/**
+ * unifiedDiff.js
+ *
+ * Diff de linhas (Myers) no formato unificado, sem dependências externas.
+ */
+
+// Acima disso o diff vira um único bloco "tudo removido / tudo adicionado" para não estourar memória.
+const MAX_EDIT_DISTANCE = 4000;
+
+const splitLines = text => text === '' ? [] : text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+
+// Myers: guarda, a cada passo d, o trecho [-d-1, d+1] de V para reconstruir o caminho.
+const shortestEdit = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) return trace;
+        }
+    }
+    return null;
+};
+
+const backtrack = (a, b, trace) => {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const at = k => v[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            ops.push(x === prevX ? { type: '+', line: b[prevY] } : { type: '-', line: a[prevX] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+};
+
+const diffLines = (a, b) => {
+    const trace = shortestEdit(a, b);
+    if (!trace) return [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+    return backtrack(a, b, trace);
+};
+
+const hunkRange = (start, count) => `${count === 0 ? start : start + 1},${count}`;
+
+/**
+ * Gera o diff unificado entre dois textos.
+ *
+ * @param {string} oldText Conteúdo antigo (destino); '' para arquivo novo.
+ * @param {string} newText Conteúdo novo (origem); '' para arquivo removido.
+ * @param {object} [options]
+ * @param {string} [options.oldLabel='a'] Rótulo da linha "---".
+ * @param {string} [options.newLabel='b'] Rótulo da linha "+++".
+ * @param {number} [options.context=3] Linhas de contexto em volta de cada mudança.
+ * @returns {string} Diff vazio se os textos forem iguais.
+ */
+const createUnifiedDiff = (oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) => {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const changedIndexes = ops.map((op, i) => op.type === ' ' ? -1 : i).filter(i => i >= 0);
+    if (changedIndexes.length === 0) return '';
+
+    // Agrupa mudanças cujo contexto se sobrepõe no mesmo hunk.
+    const ranges = [];
+    for (const i of changedIndexes) {
+        const last = ranges[ranges.length - 1];
+        if (last && i - context <= last.end + context) last.end = i;
+        else ranges.push({ start: i, end: i });
+    }
+
+    const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (const { start, end } of ranges) {
+        const from = Math.max(0, start - context);
+        const to = Math.min(ops.length - 1, end + context);
+        const before = ops.slice(0, from);
+        const oldStart = before.filter(op => op.type !== '+').length;
+        const newStart = before.filter(op => op.type !== '-').length;
+        const hunk = ops.slice(from, to + 1);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        lines.push(`@@ -${hunkRange(oldStart, oldCount)} +${hunkRange(newStart, newCount)} @@`);
+        hunk.forEach(op => lines.push(`${op.type}${op.line}`));
+    }
+    return lines.join('\n') + '\n';
+};
+
+module.exports = { createUnifiedDiff };
@@ -0,0 +1,155 @@
+/**
+ * xmlCompare.js
+ *
+ * Comparação semântica de arquivos -meta.xml: ignora formatação, comentários, ordem de
+ * atributos e a ordem entre elementos de nomes diferentes (um retrieve reordena tudo),
+ * e trata como conjuntos as coleções que o Salesforce não ordena (fieldPermissions...).
+ * Devolve também quais elementos diferem, para o relatório de mudanças.
+ */
+const convert = require('xml-js');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+
+// Coleções cuja ordem não tem significado no metadado.
+const DEFAULT_UNORDERED_ELEMENTS = [
+    'applicationVisibilities', 'classAccesses', 'columns', 'customMetadataTypeAccesses', 'customPermissions',
+    'customSettingAccesses', 'externalDataSourceAccesses', 'fieldPermissions', 'fields', 'flowAccesses',
+    'layoutAssignments', 'listViews', 'objectPermissions', 'pageAccesses', 'picklistValues', 'recordTypes',
+    'recordTypeVisibilities', 'tabSettings', 'tabVisibilities', 'userPermissions', 'validationRules', 'values', 'webLinks'
+];
+
+// Filhos que identificam um item de coleção (ex.: fieldPermissions[field=Account.Name]).
+const IDENTITY_ELEMENTS = ['fullName', 'field', 'object', 'apexClass', 'apexPage', 'tab', 'recordType', 'layout', 'application', 'name', 'valueName', 'label'];
+
+const normalizeNode = (elem, ignoredElements) => {
+    let text = '';
+    const children = [];
+    for (const child of elem.elements ?? []) {
+        if (child.type === 'text') text += child.text;
+        else if (child.type === 'cdata') text += child.cdata;
+        else if (child.type === 'element' && !ignoredElements.has(child.name)) children.push(normalizeNode(child, ignoredElements));
+    }
+    const attributes = Object.entries(elem.attributes ?? {}).sort(([a], [b]) => a.localeCompare(b));
+    return { name: elem.name, attributes: JSON.stringify(attributes), text: String(text).trim(), children };
+};
+
+const childNames = (...nodes) => [...new Set(nodes.flatMap(node => node.children.map(child => child.name)))].sort();
+
+const serialize = (node, unordered) => {
+    if (node.serialized !== undefined) return node.serialized;
+    const groups = childNames(node).map(name => {
+        const items = node.children.filter(child => child.name === name).map(child => serialize(child, unordered));
+        return (unordered.has(name) ? items.sort() : items).join('');
+    });
+    node.serialized = `<${node.name}${node.attributes}>${node.text}${groups.join('')}</${node.name}>`;
+    return node.serialized;
+};
+
+const labelOf = (node) => {
+    for (const identity of IDENTITY_ELEMENTS) {
+        const child = node.children.find(c => c.name === identity && c.text);
+        if (child) return `${node.name}[${identity}=${child.text}]`;
+    }
+    return node.name;
+};
+
+// a = origem, b = destino: "adicionado" existe só na origem, "removido" só no destino. t traduz
+// as mensagens (messages.js).
+const diffNodes = (a, b, nodePath, unordered, differences, t) => {
+    if (a.text !== b.text) differences.push(`${nodePath}: "${b.text}" -> "${a.text}"`);
+    if (a.attributes !== b.attributes) differences.push(t('xml.attributesChanged', { path: nodePath }));
+
+    for (const name of childNames(a, b)) {
+        const listA = a.children.filter(child => child.name === name);
+        const listB = b.children.filter(child => child.name === name);
+        if (unordered.has(name)) {
+            diffUnordered(listA, listB, nodePath, unordered, differences, t);
+            continue;
+        }
+        for (let i = 0; i < Math.max(listA.length, listB.length); i++) {
+            if (!listB[i]) differences.push(t('xml.added', { path: `${nodePath}/${labelOf(listA[i])}` }));
+            else if (!listA[i]) differences.push(t('xml.removed', { path: `${nodePath}/${labelOf(listB[i])}` }));
+            else if (serialize(listA[i], unordered) !== serialize(listB[i], unordered)) {
+                diffNodes(listA[i], listB[i], `${nodePath}/${labelOf(listA[i])}`, unordered, differences, t);
+            }
+        }
+    }
+};
+
+const keyedByLabel = (nodes) => {
+    const keyed = new Map();
+    for (const node of nodes) {
+        let key = labelOf(node);
+        for (let n = 2; keyed.has(key); n++) key = `${labelOf(node)}#${n}`;
+        keyed.set(key, node);
+    }
+    return keyed;
+};
+
+// Itens de nodes sem cópia idêntica em others, contando repetições (multiconjunto): dois itens
+// iguais de um lado só casam com duas cópias do outro.
+const unmatched = (nodes, others, unordered) => {
+    const counts = new Map();
+    for (const node of others) {
+        const key = serialize(node, unordered);
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+    return nodes.filter(node => {
+        const key = serialize(node, unordered);
+        const count = counts.get(key) ?? 0;
+        if (count > 0) counts.set(key, count - 1);
+        return count === 0;
+    });
+};
+
+const diffUnordered = (listA, listB, nodePath, unordered, differences, t) => {
+    // Itens idênticos dos dois lados saem antes de casar o resto pela identidade.
+    const keyedA = keyedByLabel(unmatched(listA, listB, unordered));
+    const keyedB = keyedByLabel(unmatched(listB, listA, unordered));
+
+    for (const [key, node] of keyedA) {
+        if (keyedB.has(key)) diffNodes(node, keyedB.get(key), `${nodePath}/${key}`, unordered, differences, t);
+        else differences.push(t('xml.added', { path: `${nodePath}/${key}` }));
+    }
+    for (const key of keyedB.keys()) {
+        if (!keyedA.has(key)) differences.push(t('xml.removed', { path: `${nodePath}/${key}` }));
+    }
+};
+
+const parseRoot = (xmlStr, ignoredElements, t) => {
+    const root = convert.xml2js(xmlStr, { compact: false }).elements?.find(elem => elem.type === 'element');
+    if (!root) throw new Error(t('xml.noRoot'));
+    return normalizeNode(root, ignoredElements);
+};
+
+/**
+ * Compara dois XML de metadado semanticamente.
+ *
+ * @param {string} sourceXml Conteúdo da origem.
+ * @param {string} targetXml Conteúdo do destino.
+ * @param {object} [options]
+ * @param {string[]} [options.ignoredElements] Elementos de ruído ignorados em qualquer nível.
+ * @param {string[]} [options.unorderedElements] Coleções sem ordem além das padrão.
+ * @param {string} [options.locale='pt-BR'] Idioma das diferenças e dos erros (messages.js).
+ * @returns {{equal: boolean, differences: string[]}} Caminhos dos elementos que diferem.
+ * @throws {Error} Se algum dos lados não for XML válido.
+ */
+const compareXml = (sourceXml, targetXml, { ignoredElements = [], unorderedElements = [], locale = DEFAULT_LOCALE } = {}) => {
+    const t = (key, params) => formatMessage(locale, key, params);
+    const ignored = new Set(ignoredElements);
+    const unordered = new Set([...DEFAULT_UNORDERED_ELEMENTS, ...unorderedElements]);
+    const source = parseRoot(sourceXml, ignored, t);
+    const target = parseRoot(targetXml, ignored, t);
+
+    if (source.name !== target.name) {
+        return { equal: false, differences: [t('xml.rootChanged', { from: target.name, to: source.name })] };
+    }
+    if (serialize(source, unordered) === serialize(target, unordered)) {
+        return { equal: true, differences: [] };
+    }
+
+    const differences = [];
+    diffNodes(source, target, source.name, unordered, differences, t);
+    return { equal: false, differences };
+};
+
+module.exports = { DEFAULT_UNORDERED_ELEMENTS, compareXml };